@@ -51,7 +51,7 @@ gcloud run deploy ${SERVICE_NAME} \
     --timeout 3600 \
     --max-instances 1 \
     --min-instances 1 \
-    --set-env-vars NODE_ENV=production,ECOSYSTEM=solana,LOG_LEVEL=info \
+    --set-env-vars NODE_ENV=production,ECOSYSTEMS=solana,LOG_LEVEL=info \
     --set-secrets DB_HOST=DB_HOST:latest,DB_USERNAME=DB_USERNAME:latest,DB_PASSWORD=DB_PASSWORD:latest,DB_NAME=DB_NAME:latest,GITHUB_TOKEN_1=GITHUB_TOKEN_1:latest,GITHUB_TOKEN_2=GITHUB_TOKEN_2:latest,GITHUB_TOKEN_3=GITHUB_TOKEN_3:latest,GITHUB_TOKEN_4=GITHUB_TOKEN_4:latest,GITHUB_TOKEN_5=GITHUB_TOKEN_5:latest
 
 echo ""
@@ -126,7 +126,7 @@ spec:
           value: production
         - name: PORT
           value: '3000'
-        - name: ECOSYSTEM
+        - name: ECOSYSTEMS
           value: solana
         - name: LOG_LEVEL
           value: info
@@ -127,6 +127,27 @@ async function initSchema() {
     console.log('  - Developers');
     console.log('  - Activities');
     console.log('  - RepoTypes');
+    console.log('  - TokenUsageStats');
+    console.log('  - GitHubResponseCache');
+    console.log('  - PullRequests');
+    console.log('  - Issues');
+    console.log('  - Reviews');
+    console.log('  - RepoSyncState');
+    console.log('  - Releases');
+    console.log('  - RepoNameHistory');
+    console.log('  - RepoDependencies');
+    console.log('  - Languages');
+    console.log('  - RepoLanguages');
+    console.log('  - Topics');
+    console.log('  - RepoTopics');
+    console.log('  - Commits');
+    console.log('  - CommitCoAuthors');
+    console.log('  - DeveloperEmails');
+    console.log('  - DiscoveryCursors');
+    console.log('  - CodeSearchPartitions');
+    console.log('  - SearchQueries');
+    console.log('  - RepoSnapshots');
+    console.log('  - RepoEcosystems');
 
     // Test queries
     const stats = await Promise.all([
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * Track repositories whose GitHub statistics are still being computed,
+ * so the activity worker can re-queue them instead of waiting.
+ * Fresh databases get these columns from sequelize.sync(), so existing
+ * columns are skipped.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = await queryInterface.describeTable('SolanaGithubRepos');
+
+    if (!table.statsPendingSince) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'statsPendingSince', {
+        type: Sequelize.DATE
+      });
+    }
+
+    if (!table.statsRetryAt) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'statsRetryAt', {
+        type: Sequelize.DATE
+      });
+    }
+
+    if (!table.statsAttempts) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'statsAttempts', {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('SolanaGithubRepos', 'statsAttempts');
+    await queryInterface.removeColumn('SolanaGithubRepos', 'statsRetryAt');
+    await queryInterface.removeColumn('SolanaGithubRepos', 'statsPendingSince');
+  }
+};
@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Derived release fields on repositories, refreshed with their releases
+ * and tags during activity collection. Fresh databases get these columns
+ * from sequelize.sync(), so existing columns are skipped.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = await queryInterface.describeTable('SolanaGithubRepos');
+
+    if (!table.lastReleaseAt) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'lastReleaseAt', {
+        type: Sequelize.DATE
+      });
+    }
+
+    if (!table.latestVersion) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'latestVersion', {
+        type: Sequelize.STRING
+      });
+    }
+
+    if (!table.releaseCount) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'releaseCount', {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      });
+    }
+
+    if (!table.releaseCadenceDays) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'releaseCadenceDays', {
+        type: Sequelize.FLOAT
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('SolanaGithubRepos', 'releaseCadenceDays');
+    await queryInterface.removeColumn('SolanaGithubRepos', 'releaseCount');
+    await queryInterface.removeColumn('SolanaGithubRepos', 'latestVersion');
+    await queryInterface.removeColumn('SolanaGithubRepos', 'lastReleaseAt');
+  }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Fork network and template details of repositories, used by the fork
+ * policy in discovery and activity collection. Fresh databases get these
+ * columns from sequelize.sync(), so existing columns are skipped.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = await queryInterface.describeTable('SolanaGithubRepos');
+
+    const columns = {
+      isFork: { type: Sequelize.BOOLEAN, defaultValue: false },
+      parentRepoId: { type: Sequelize.STRING },
+      parentFullName: { type: Sequelize.STRING },
+      sourceRepoId: { type: Sequelize.STRING },
+      sourceFullName: { type: Sequelize.STRING },
+      forkAheadBy: { type: Sequelize.INTEGER },
+      isTemplate: { type: Sequelize.BOOLEAN, defaultValue: false },
+      templateFullName: { type: Sequelize.STRING }
+    };
+
+    for (const [name, definition] of Object.entries(columns)) {
+      if (!table[name]) {
+        await queryInterface.addColumn('SolanaGithubRepos', name, definition);
+      }
+    }
+
+    const indexes = await queryInterface.showIndex('SolanaGithubRepos');
+    if (!indexes.some(index => index.name === 'solana_github_repos_parent_repo_id')) {
+      await queryInterface.addIndex('SolanaGithubRepos', ['parentRepoId']);
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('SolanaGithubRepos', ['parentRepoId']);
+
+    for (const name of [
+      'templateFullName', 'isTemplate', 'forkAheadBy', 'sourceFullName',
+      'sourceRepoId', 'parentFullName', 'parentRepoId', 'isFork'
+    ]) {
+      await queryInterface.removeColumn('SolanaGithubRepos', name);
+    }
+  }
+};
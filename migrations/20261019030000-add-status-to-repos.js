@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Repository status, replacing "closed source" as the catch-all for
+ * repositories that could not be found. Repositories marked closed source
+ * before start out active and are resolved by id on their next 404.
+ * Fresh databases get these columns from sequelize.sync(), so existing
+ * columns are skipped.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = await queryInterface.describeTable('SolanaGithubRepos');
+
+    if (!table.status) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'status', {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'active'
+      });
+    }
+
+    if (!table.statusChangedAt) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'statusChangedAt', {
+        type: Sequelize.DATE
+      });
+    }
+
+    const indexes = await queryInterface.showIndex('SolanaGithubRepos');
+    if (!indexes.some(index => index.name === 'solana_github_repos_status')) {
+      await queryInterface.addIndex('SolanaGithubRepos', ['status']);
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('SolanaGithubRepos', ['status']);
+    await queryInterface.removeColumn('SolanaGithubRepos', 'statusChangedAt');
+    await queryInterface.removeColumn('SolanaGithubRepos', 'status');
+  }
+};
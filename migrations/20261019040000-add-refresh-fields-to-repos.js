@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Fork count, last push and last verification time of repositories, kept
+ * up to date by the refresh worker. Existing repositories start out never
+ * verified, so the first refresh runs visit them first. Fresh databases get
+ * these columns from sequelize.sync(), so existing columns are skipped.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const table = await queryInterface.describeTable('SolanaGithubRepos');
+
+    if (!table.forks) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'forks', {
+        type: Sequelize.INTEGER,
+        defaultValue: 0
+      });
+    }
+
+    if (!table.pushedAt) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'pushedAt', {
+        type: Sequelize.DATE
+      });
+    }
+
+    if (!table.lastVerifiedAt) {
+      await queryInterface.addColumn('SolanaGithubRepos', 'lastVerifiedAt', {
+        type: Sequelize.DATE
+      });
+    }
+
+    const indexes = await queryInterface.showIndex('SolanaGithubRepos');
+    if (!indexes.some(index => index.name === 'solana_github_repos_last_verified_at')) {
+      await queryInterface.addIndex('SolanaGithubRepos', ['lastVerifiedAt']);
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('SolanaGithubRepos', ['lastVerifiedAt']);
+    await queryInterface.removeColumn('SolanaGithubRepos', 'lastVerifiedAt');
+    await queryInterface.removeColumn('SolanaGithubRepos', 'pushedAt');
+    await queryInterface.removeColumn('SolanaGithubRepos', 'forks');
+  }
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * Several ecosystems per deployment. Search queries get the ecosystem they
+ * search for, existing ones belong to solana. Repositories are tagged with
+ * every ecosystem that found them in RepoEcosystems, which starts out from
+ * the ecosystem each repository was saved with; collection only follows
+ * tagged repositories. Fresh databases get the column and the table from
+ * sequelize.sync(), so existing ones are skipped.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+
+    if (tables.includes('SearchQueries')) {
+      const table = await queryInterface.describeTable('SearchQueries');
+
+      if (!table.ecosystem) {
+        await queryInterface.addColumn('SearchQueries', 'ecosystem', {
+          type: Sequelize.STRING,
+          allowNull: false,
+          defaultValue: 'solana'
+        });
+      }
+
+      const indexes = await queryInterface.showIndex('SearchQueries');
+      if (indexes.some(index => index.name === 'search_queries_strategy_enabled_priority')) {
+        await queryInterface.removeIndex('SearchQueries', ['strategy', 'enabled', 'priority']);
+      }
+      if (!indexes.some(index => index.name === 'search_queries_ecosystem_strategy_enabled_priority')) {
+        await queryInterface.addIndex('SearchQueries', ['ecosystem', 'strategy', 'enabled', 'priority']);
+      }
+    }
+
+    if (!tables.includes('RepoEcosystems')) {
+      await queryInterface.createTable('RepoEcosystems', {
+        id: {
+          type: Sequelize.INTEGER,
+          autoIncrement: true,
+          primaryKey: true,
+          allowNull: false
+        },
+        repositoryId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: 'SolanaGithubRepos',
+            key: 'id'
+          },
+          onDelete: 'CASCADE'
+        },
+        ecosystem: {
+          type: Sequelize.STRING,
+          allowNull: false
+        },
+        createdAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        updatedAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        }
+      });
+
+      await queryInterface.addIndex('RepoEcosystems', ['repositoryId', 'ecosystem'], { unique: true });
+      await queryInterface.addIndex('RepoEcosystems', ['ecosystem']);
+    }
+
+    await queryInterface.sequelize.query(`
+      INSERT INTO "RepoEcosystems" ("repositoryId", ecosystem, "createdAt", "updatedAt")
+      SELECT id, ecosystem, NOW(), NOW()
+      FROM "SolanaGithubRepos"
+      ON CONFLICT ("repositoryId", ecosystem) DO NOTHING
+    `);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('RepoEcosystems');
+    await queryInterface.removeIndex('SearchQueries', ['ecosystem', 'strategy', 'enabled', 'priority']);
+    await queryInterface.addIndex('SearchQueries', ['strategy', 'enabled', 'priority']);
+    await queryInterface.removeColumn('SearchQueries', 'ecosystem');
+  }
+};
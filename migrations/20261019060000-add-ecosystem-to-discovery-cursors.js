@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Discovery cursors per ecosystem, so that a search in the query packs of
+ * two ecosystems is scanned by each and its repositories tagged with both.
+ * Existing cursors belong to solana; other ecosystems scan their searches
+ * once more. Fresh databases get the column from sequelize.sync(), so an
+ * existing one is skipped.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const tables = await queryInterface.showAllTables();
+    if (!tables.includes('DiscoveryCursors')) {
+      return;
+    }
+
+    const table = await queryInterface.describeTable('DiscoveryCursors');
+    if (!table.ecosystem) {
+      await queryInterface.addColumn('DiscoveryCursors', 'ecosystem', {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'solana'
+      });
+    }
+
+    const indexes = await queryInterface.showIndex('DiscoveryCursors');
+    if (indexes.some(index => index.name === 'discovery_cursors_strategy_query_size_range')) {
+      await queryInterface.removeIndex('DiscoveryCursors', ['strategy', 'query', 'sizeRange']);
+    }
+    if (!indexes.some(index => index.name === 'discovery_cursors_ecosystem_strategy_query_size_range')) {
+      await queryInterface.addIndex('DiscoveryCursors', ['ecosystem', 'strategy', 'query', 'sizeRange'], { unique: true });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query(`DELETE FROM "DiscoveryCursors" WHERE ecosystem <> 'solana'`);
+    await queryInterface.removeIndex('DiscoveryCursors', ['ecosystem', 'strategy', 'query', 'sizeRange']);
+    await queryInterface.addIndex('DiscoveryCursors', ['strategy', 'query', 'sizeRange'], { unique: true });
+    await queryInterface.removeColumn('DiscoveryCursors', 'ecosystem');
+  }
+};
@@ -0,0 +1,18 @@
+const config = require('./index');
+
+// Connection settings for sequelize-cli (npm run db:migrate)
+const database = {
+  username: config.database.username,
+  password: config.database.password,
+  database: config.database.database,
+  host: config.database.host,
+  port: config.database.port,
+  dialect: config.database.dialect,
+  logging: false
+};
+
+module.exports = {
+  development: database,
+  test: database,
+  production: database
+};
@@ -1,4 +1,6 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
 
 module.exports = {
   // Environment
@@ -27,11 +29,19 @@ module.exports = {
     host: process.env.REDIS_HOST || 'localhost',
     port: process.env.REDIS_PORT || 6379,
     password: process.env.REDIS_PASSWORD || undefined,
-    db: process.env.REDIS_DB || 0
+    db: parseInt(process.env.REDIS_DB || '0')
   },
 
   // GitHub Configuration
   github: {
+    // API root for REST and GraphQL calls. Point it at the fake server
+    // (npm run fake-github) to run without network access or real tokens
+    apiUrl: process.env.GITHUB_API_URL || 'https://api.github.com',
+
+    // Client-side spacing of search and write requests (octokit throttling),
+    // only worth turning off against a local stand-in API
+    throttleEnabled: process.env.GITHUB_THROTTLE_ENABLED !== 'false',
+
     tokens: (() => {
       const tokens = [];
       let index = 1;
@@ -50,6 +60,33 @@ module.exports = {
       return tokens;
     })(),
 
+    // GitHub App installations, rotated in the same pool as the tokens above
+    apps: (() => {
+      const apps = [];
+      let index = 1;
+      while (process.env[`GITHUB_APP_ID_${index}`]) {
+        const keyPath = process.env[`GITHUB_APP_PRIVATE_KEY_PATH_${index}`];
+        const privateKey = keyPath
+          ? fs.readFileSync(keyPath, 'utf8')
+          : (process.env[`GITHUB_APP_PRIVATE_KEY_${index}`] || '').replace(/\\n/g, '\n');
+
+        apps.push({
+          appId: process.env[`GITHUB_APP_ID_${index}`],
+          installationId: process.env[`GITHUB_APP_INSTALLATION_ID_${index}`],
+          privateKey,
+          refreshMarginMs: parseInt(process.env.GITHUB_APP_TOKEN_REFRESH_MARGIN_MS || '300000')
+        });
+        index++;
+      }
+      return apps;
+    })(),
+
+    // Share token quota, reset times and health between replicas through Redis
+    sharedState: {
+      enabled: process.env.TOKEN_STATE_STORE === 'redis',
+      keyPrefix: process.env.TOKEN_STATE_KEY_PREFIX || 'solana-github-collector:tokens'
+    },
+
     // Rate limits per hour for different API endpoints
     rateLimits: {
       core: 5000,        // per token per hour
@@ -57,53 +94,168 @@ module.exports = {
       codeSearch: 10     // per token per minute
     },
 
+    // Tokens rejected with 401 are re-probed after this backoff, doubling each time
+    quarantineBaseMs: parseInt(process.env.GITHUB_TOKEN_QUARANTINE_BASE_MS || '60000'),
+    quarantineMaxMs: parseInt(process.env.GITHUB_TOKEN_QUARANTINE_MAX_MS || '21600000'),
+
+    // Secrets file with extra tokens, watched for changes at runtime
+    tokensFile: process.env.GITHUB_TOKENS_FILE,
+
+    // Share of the pool's quota each consumer may use per budget window,
+    // e.g. QUOTA_BUDGETS="discovery.core=0.4,discovery.code_search=1"
+    budgets: (() => {
+      const budgets = {};
+      const spec = process.env.QUOTA_BUDGETS || 'discovery.core=0.4';
+
+      spec.split(',').filter(Boolean).forEach((entry) => {
+        const [target, share] = entry.split('=');
+        const [consumer, apiType] = target.trim().split('.');
+        budgets[consumer] = budgets[consumer] || {};
+        budgets[consumer][apiType] = parseFloat(share);
+      });
+
+      return budgets;
+    })(),
+    budgetWindowMs: parseInt(process.env.QUOTA_BUDGET_WINDOW_MS || '3600000'),
+
+    // Quota is read from response headers, /rate_limit is only polled for
+    // tokens that have not been used for this long
+    rateLimitPollIntervalMs: parseInt(process.env.GITHUB_RATE_LIMIT_POLL_INTERVAL_MS || '600000'),
+
+    // ETag cache for GET requests, stored in Postgres. Only the routes listed
+    // here are cached; entries unused for ttlMs are dropped and each route
+    // keeps at most maxEntries. Override with GITHUB_CACHE_ENDPOINTS (JSON).
+    responseCache: {
+      enabled: process.env.GITHUB_CACHE_ENABLED !== 'false',
+      maxEntryBytes: parseInt(process.env.GITHUB_CACHE_MAX_ENTRY_BYTES || '1048576'),
+      endpoints: {
+        'GET /repos/{owner}/{repo}': { ttlMs: 7 * 24 * 60 * 60 * 1000, maxEntries: 50000 },
+        'GET /repositories/{id}': { ttlMs: 7 * 24 * 60 * 60 * 1000, maxEntries: 50000 },
+        'GET /repos/{owner}/{repo}/contributors': { ttlMs: 7 * 24 * 60 * 60 * 1000, maxEntries: 50000 },
+        'GET /repos/{owner}/{repo}/stats/contributors': { ttlMs: 7 * 24 * 60 * 60 * 1000, maxEntries: 20000 },
+        'GET /repos/{owner}/{repo}/stats/commit_activity': { ttlMs: 7 * 24 * 60 * 60 * 1000, maxEntries: 20000 },
+        'GET /repos/{owner}/{repo}/commits': { ttlMs: 24 * 60 * 60 * 1000, maxEntries: 20000 },
+        'GET /repos/{owner}/{repo}/releases': { ttlMs: 7 * 24 * 60 * 60 * 1000, maxEntries: 50000 },
+        'GET /repos/{owner}/{repo}/tags': { ttlMs: 7 * 24 * 60 * 60 * 1000, maxEntries: 50000 },
+        'GET /repos/{owner}/{repo}/languages': { ttlMs: 7 * 24 * 60 * 60 * 1000, maxEntries: 50000 },
+        'GET /repos/{owner}/{repo}/git/trees/{tree_sha}': { ttlMs: 14 * 24 * 60 * 60 * 1000, maxEntries: 50000 },
+        'GET /repos/{owner}/{repo}/git/blobs/{file_sha}': { ttlMs: 14 * 24 * 60 * 60 * 1000, maxEntries: 200000 },
+        'GET /users/{username}': { ttlMs: 7 * 24 * 60 * 60 * 1000, maxEntries: 100000 },
+        ...JSON.parse(process.env.GITHUB_CACHE_ENDPOINTS || '{}')
+      }
+    },
+
+    // Statistics endpoints answer 202 while GitHub computes them. Ask again
+    // with exponential backoff, then give up so the repository is re-queued
+    statsRetry: {
+      maxAttempts: parseInt(process.env.GITHUB_STATS_MAX_ATTEMPTS || '4'),
+      baseDelayMs: parseInt(process.env.GITHUB_STATS_RETRY_DELAY_MS || '2000')
+    },
+
     // Request configuration
     requestTimeout: 30000,
     retryAttempts: 3,
     retryDelay: 1000
   },
 
-  // Ecosystem Configuration
-  ecosystem: process.env.ECOSYSTEM || 'solana',
-
-  // Search Queries for Solana
-  solanaSearchQueries: [
-    // JavaScript/TypeScript
-    { filename: 'package.json', keyword: 'xyz/anchor', type: 'anchor.js' },
-    { filename: 'package-lock.json', keyword: 'xyz/anchor', type: 'anchor.js' },
-    { filename: 'yarn.lock', keyword: 'xyz/anchor', type: 'anchor.js' },
-    { filename: 'package.json', keyword: 'solana/web3.js', type: 'web3.js' },
-    { filename: 'package-lock.json', keyword: 'solana/web3.js', type: 'web3.js' },
-    { filename: 'yarn.lock', keyword: 'solana/web3.js', type: 'web3.js' },
-    { filename: 'package.json', keyword: 'serum/anchor', type: 'anchor.js' },
-    { filename: 'package.json', keyword: 'metaplex/js', type: 'nft' },
-    { filename: 'package.json', keyword: 'solana-agent-kit', type: 'ai' },
-
-    // Rust
-    { filename: 'Cargo.toml', keyword: 'solana-program', type: 'native' },
-    { filename: 'Cargo.toml', keyword: 'anchor-lang', type: 'anchor' },
-    { filename: 'Cargo.toml', keyword: 'solana-sdk', type: 'native' },
-    { extension: 'rs', keyword: 'solana-program', type: 'native' },
-    { extension: 'rs', keyword: 'anchor-lang', type: 'anchor' },
-
-    // Other languages
-    { extension: 'go', keyword: 'gagliardetto/solana-go', type: 'go' },
-    { filename: 'pyproject.toml', keyword: 'solana', type: 'python' },
-    { extension: 'csproj', keyword: 'Solnet.Rpc', type: 'dotnet' },
-    { extension: 'cs', keyword: 'Solana.Unity.SDK', type: 'unity' }
-  ],
-
-  // Repository search keywords (broader search)
-  repositorySearchKeywords: [
-    'solana blockchain',
-    'solana dapp',
-    'solana defi',
-    'solana nft',
-    'solana web3',
-    'anchor framework',
-    'solana program',
-    'solana smart contract'
-  ],
+  // Which forks are collected: exclude, include, or diverged (only forks
+  // with commits their parent does not have). Applied in discovery and
+  // activity collection; included forks only count activity after the fork.
+  forks: {
+    policy: process.env.FORK_POLICY || 'diverged'
+  },
+
+  // Packages whose versions are read from dependency manifests and lockfiles,
+  // per registry. Feeds the SDK adoption report.
+  trackedPackages: {
+    cargo: ['anchor-lang', 'anchor-spl', 'solana-program', 'solana-sdk', 'solana-client', 'spl-token'],
+    npm: ['@solana/web3.js', '@solana/kit', '@coral-xyz/anchor', '@project-serum/anchor', '@solana/spl-token', '@metaplex-foundation/js'],
+    pypi: ['solana', 'solders', 'anchorpy']
+  },
+
+  // Ecosystems collected by this deployment, ECOSYSTEMS=solana,eclipse. Each
+  // has its default code search queries and repository search keywords,
+  // seeded into the SearchQueries table on first start and then managed
+  // through /admin/search-queries, the keywords of its trending search and
+  // its discovery schedule. Repositories found for several ecosystems are
+  // tagged with each of them in RepoEcosystems.
+  ecosystems: (() => {
+    const definitions = {
+      solana: {
+        codeSearchQueries: [
+          // JavaScript/TypeScript
+          { filename: 'package.json', keyword: 'xyz/anchor', type: 'anchor.js' },
+          { filename: 'package-lock.json', keyword: 'xyz/anchor', type: 'anchor.js' },
+          { filename: 'yarn.lock', keyword: 'xyz/anchor', type: 'anchor.js' },
+          { filename: 'package.json', keyword: 'solana/web3.js', type: 'web3.js' },
+          { filename: 'package-lock.json', keyword: 'solana/web3.js', type: 'web3.js' },
+          { filename: 'yarn.lock', keyword: 'solana/web3.js', type: 'web3.js' },
+          { filename: 'package.json', keyword: 'serum/anchor', type: 'anchor.js' },
+          { filename: 'package.json', keyword: 'metaplex/js', type: 'nft' },
+          { filename: 'package.json', keyword: 'solana-agent-kit', type: 'ai' },
+
+          // Rust
+          { filename: 'Cargo.toml', keyword: 'solana-program', type: 'native' },
+          { filename: 'Cargo.toml', keyword: 'anchor-lang', type: 'anchor' },
+          { filename: 'Cargo.toml', keyword: 'solana-sdk', type: 'native' },
+          { extension: 'rs', keyword: 'solana-program', type: 'native' },
+          { extension: 'rs', keyword: 'anchor-lang', type: 'anchor' },
+
+          // Other languages
+          { extension: 'go', keyword: 'gagliardetto/solana-go', type: 'go' },
+          { filename: 'pyproject.toml', keyword: 'solana', type: 'python' },
+          { extension: 'csproj', keyword: 'Solnet.Rpc', type: 'dotnet' },
+          { extension: 'cs', keyword: 'Solana.Unity.SDK', type: 'unity' }
+        ],
+        repositorySearchKeywords: [
+          'solana blockchain',
+          'solana dapp',
+          'solana defi',
+          'solana nft',
+          'solana web3',
+          'anchor framework',
+          'solana program',
+          'solana smart contract'
+        ],
+        trendingKeywords: 'solana',
+        discoverySchedule: process.env.SOLANA_DISCOVERY_SCHEDULE || '0 * * * *'
+      },
+      // SVM rollup settling on Ethereum. Its programs are Solana programs,
+      // so most of its repositories are tagged solana as well
+      eclipse: {
+        codeSearchQueries: [
+          { extension: 'ts', keyword: 'mainnetbeta-rpc.eclipse.xyz', type: 'eclipse-rpc' },
+          { extension: 'rs', keyword: 'mainnetbeta-rpc.eclipse.xyz', type: 'eclipse-rpc' },
+          { filename: 'Anchor.toml', keyword: 'eclipse.xyz', type: 'anchor' }
+        ],
+        repositorySearchKeywords: [
+          'eclipse svm',
+          'eclipse rollup',
+          'eclipse mainnet'
+        ],
+        trendingKeywords: 'eclipse svm',
+        discoverySchedule: process.env.ECLIPSE_DISCOVERY_SCHEDULE || '20 */3 * * *'
+      }
+    };
+
+    // ECOSYSTEM, a single name, is still read for older deployments
+    const names = (process.env.ECOSYSTEMS || process.env.ECOSYSTEM || 'solana')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean);
+
+    return names.map((name) => {
+      if (!definitions[name]) {
+        throw new Error(`Unknown ecosystem ${name}, expected one of ${Object.keys(definitions).join(', ')}`);
+      }
+      return { name, ...definitions[name] };
+    });
+  })(),
+
+  // Language filter of the repository and trending searches, empty for any
+  repositorySearchLanguage: process.env.REPOSITORY_SEARCH_LANGUAGE !== undefined
+    ? process.env.REPOSITORY_SEARCH_LANGUAGE
+    : 'rust',
 
   // Worker Configuration
   workers: {
@@ -111,21 +263,74 @@ module.exports = {
       enabled: true,
       concurrency: 3,
       batchSize: 100,
-      intervalMs: 60000 // 1 minute
+      intervalMs: 60000, // 1 minute
+      // Searches scanned to the end are skipped until their last scan is this old;
+      // unfinished ones resume from their saved page
+      rescanHours: parseInt(process.env.DISCOVERY_RESCAN_HOURS || '24')
     },
     developerFetch: {
       enabled: true,
       concurrency: 5,
       batchSize: 50,
-      intervalMs: 120000 // 2 minutes
+      intervalMs: 120000, // 2 minutes
+      statsRequeueDelayMs: 15 * 60 * 1000, // doubles per attempt
+      statsRequeueMaxDelayMs: 24 * 60 * 60 * 1000,
+      maxReleases: 500 // newest releases, and tags, refreshed per repository
     },
     repoDetails: {
       enabled: true,
       concurrency: 10,
       batchSize: 100
+    },
+    // Pull requests, issues and reviews, collected incrementally per repository
+    contributions: {
+      enabled: true,
+      batchSize: 50,
+      initialLookbackDays: 182 // how far back the first sync of a repository goes
+    },
+    // Commit-level collection: commit authors and Co-authored-by trailers,
+    // credited by email so commits stats/contributors cannot link still count.
+    // Optional, costs one request per 100 commits
+    commits: {
+      enabled: process.env.COMMIT_COLLECTION_ENABLED === 'true',
+      batchSize: 50,
+      initialLookbackDays: 182 // how far back the first sync of a repository goes
+    },
+    // Stars, forks, open issues, status and names of known repositories. Metadata
+    // of repositories pushed to in the last activeDays is refreshed after
+    // activeHours, in the last recentDays after recentHours, otherwise after dormantHours
+    refresh: {
+      enabled: true,
+      batchSize: 100, // repositories per GraphQL query
+      maxPerRun: 5000,
+      activeDays: 30,
+      activeHours: 24,
+      recentDays: 365,
+      recentHours: 7 * 24,
+      dormantHours: 30 * 24
+    },
+    // Dependency manifests and lockfiles, read again once a scan is older than refreshDays
+    dependencies: {
+      enabled: true,
+      batchSize: 50,
+      refreshDays: 7,
+      maxFiles: 30 // per repository, shallowest paths first
     }
   },
 
+  // Admin API (token management). Disabled unless a key is set
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY
+  },
+
+  // Fake GitHub API for offline runs (npm run fake-github)
+  fakeGitHub: {
+    port: parseInt(process.env.FAKE_GITHUB_PORT || '3100'),
+    mode: process.env.FAKE_GITHUB_MODE || 'replay', // replay or record
+    fixturesDir: process.env.FAKE_GITHUB_FIXTURES || path.join(__dirname, '../../fixtures/github'),
+    upstreamUrl: process.env.FAKE_GITHUB_UPSTREAM || 'https://api.github.com'
+  },
+
   // Monitoring
   metrics: {
     enabled: true,
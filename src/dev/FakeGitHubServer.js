@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../utils/logger');
+
+const WEEK_SECONDS = 7 * 24 * 60 * 60;
+
+// Timestamps of issues, pull requests, reviews and releases moved by rebaseTimestamps
+const TIMESTAMP_FIELDS = ['created_at', 'updated_at', 'closed_at', 'merged_at', 'submitted_at', 'published_at'];
+
+// Response headers worth keeping in a fixture
+const RECORDED_HEADERS = ['etag', 'last-modified', 'link'];
+
+/**
+ * Stand-in for the GitHub API, used to run the collector offline.
+ *
+ * In `replay` mode, responses are served from JSON fixtures: one file per
+ * request, named after its method, path and query. Requests without a
+ * fixture get an empty search result or a 404. Requests filtered with
+ * `since` share the fixture named without it. In `record` mode, requests
+ * are forwarded to the real API with the caller's token, and the responses
+ * are written to the fixtures directory.
+ *
+ * GraphQL is limited to the aliased `repository(owner, name)` batch query
+ * sent by GitHubService.getRepositoriesBatch, with one fixture per repository.
+ */
+class FakeGitHubServer {
+  constructor({ fixturesDir, mode = 'replay', upstreamUrl = 'https://api.github.com', port = 3100 }) {
+    if (!['replay', 'record'].includes(mode)) {
+      throw new Error(`Unknown fake GitHub mode: ${mode}`);
+    }
+
+    this.fixturesDir = fixturesDir;
+    this.mode = mode;
+    this.upstreamUrl = upstreamUrl.replace(/\/$/, '');
+    this.port = port;
+    this.server = null;
+
+    this.app = express();
+    this.app.use(express.json({ limit: '10mb' }));
+    this.app.post('/graphql', (req, res) => this.handle(req, res, () => this.handleGraphql(req, res)));
+    this.app.use((req, res) => this.handle(req, res, () => this.handleRest(req, res)));
+  }
+
+  async handle(req, res, handler) {
+    try {
+      await handler();
+    } catch (error) {
+      logger.error({ error: error.message, method: req.method, url: req.originalUrl }, 'Fake GitHub request failed');
+      res.status(500).json({ message: error.message });
+    }
+  }
+
+  start() {
+    fs.mkdirSync(this.fixturesDir, { recursive: true });
+
+    return new Promise((resolve) => {
+      this.server = this.app.listen(this.port, () => {
+        this.port = this.server.address().port;
+        logger.info({
+          port: this.port,
+          mode: this.mode,
+          fixturesDir: this.fixturesDir
+        }, 'Fake GitHub server started');
+        resolve(this);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * File name of the fixture for a request, e.g.
+   * `GET_repos_solana-labs_example.json` or `GET_search_code.3f2a9c1b0d4e.json`
+   */
+  fixtureName(method, pathname, searchParams) {
+    const slug = `${method}${pathname}`.replace(/[^A-Za-z0-9.-]+/g, '_');
+    const query = [...searchParams.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+
+    if (!query) {
+      return `${slug}.json`;
+    }
+
+    const hash = crypto.createHash('sha1').update(query).digest('hex').slice(0, 12);
+    return `${slug}.${hash}.json`;
+  }
+
+  readFixture(name) {
+    const file = path.join(this.fixturesDir, name);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  /**
+   * Incremental requests filter on a time that changes every run, so they
+   * are recorded, and fall back to, the fixture named without `since`
+   */
+  readUnfilteredFixture(method, url) {
+    if (!url.searchParams.has('since')) {
+      return null;
+    }
+
+    return this.readFixture(this.fixtureName(method, url.pathname, this.withoutSince(url.searchParams)));
+  }
+
+  withoutSince(searchParams) {
+    const unfiltered = new URLSearchParams(searchParams);
+    unfiltered.delete('since');
+    return unfiltered;
+  }
+
+  writeFixture(name, fixture) {
+    fs.writeFileSync(path.join(this.fixturesDir, name), `${JSON.stringify(fixture, null, 2)}\n`);
+    logger.info({ fixture: name }, 'Fixture recorded');
+  }
+
+  /**
+   * Rate limit headers for replayed responses, always leaving plenty of quota
+   */
+  rateLimitHeaders(pathname) {
+    let resource = 'core';
+    if (pathname === '/graphql') resource = 'graphql';
+    else if (pathname === '/search/code') resource = 'code_search';
+    else if (pathname.startsWith('/search/')) resource = 'search';
+
+    return {
+      'x-ratelimit-resource': resource,
+      'x-ratelimit-limit': '5000',
+      'x-ratelimit-remaining': '4999',
+      'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600)
+    };
+  }
+
+  async handleRest(req, res) {
+    const url = new URL(req.originalUrl, 'http://localhost');
+
+    if (url.pathname === '/rate_limit' && this.mode === 'replay') {
+      return res.json({ resources: this.rateLimitResources() });
+    }
+
+    if (this.mode === 'record') {
+      const upstream = await this.forward(req);
+
+      // 202s are transient, 304s have no body to keep
+      if ([200, 404].includes(upstream.status) && url.pathname !== '/rate_limit') {
+        this.writeFixture(this.fixtureName(req.method, url.pathname, this.withoutSince(url.searchParams)), {
+          request: {
+            method: req.method,
+            path: url.pathname,
+            query: Object.fromEntries(url.searchParams)
+          },
+          response: {
+            status: upstream.status,
+            headers: this.pickHeaders(upstream.headers),
+            body: upstream.body
+          }
+        });
+      }
+
+      return this.send(res, upstream.status, upstream.headers, upstream.body);
+    }
+
+    const name = this.fixtureName(req.method, url.pathname, url.searchParams);
+    const fixture = this.readFixture(name) || this.readUnfilteredFixture(req.method, url);
+    res.set(this.rateLimitHeaders(url.pathname));
+
+    if (!fixture) {
+      logger.debug({ method: req.method, url: req.originalUrl, fixture: name }, 'No fixture for request');
+
+      if (url.pathname.startsWith('/search/')) {
+        return res.json({ total_count: 0, incomplete_results: false, items: [] });
+      }
+      return res.status(404).json({ message: 'Not Found' });
+    }
+
+    const { status, headers = {}, body } = fixture.response;
+
+    if (headers.etag && req.headers['if-none-match'] === headers.etag) {
+      return res.status(304).set(headers).end();
+    }
+
+    const rebased = this.rebaseTimestamps(url.pathname, this.rebaseWeeks(url.pathname, body));
+    return res.status(status).set(headers).json(rebased);
+  }
+
+  async handleGraphql(req, res) {
+    const { variables = {} } = req.body;
+    const aliases = Object.keys(variables)
+      .filter(key => key.startsWith('owner'))
+      .map(key => key.slice('owner'.length));
+
+    if (this.mode === 'record') {
+      const upstream = await this.forward(req);
+      const data = upstream.body && upstream.body.data;
+
+      if (upstream.status === 200 && data) {
+        aliases.forEach((index) => {
+          const repository = data[`r${index}`];
+          if (repository) {
+            this.writeFixture(this.graphqlFixtureName(variables[`owner${index}`], variables[`name${index}`]), { repository });
+          }
+        });
+      }
+
+      return this.send(res, upstream.status, upstream.headers, upstream.body);
+    }
+
+    const data = {};
+    const errors = [];
+
+    aliases.forEach((index) => {
+      const owner = variables[`owner${index}`];
+      const name = variables[`name${index}`];
+      const fixture = this.readFixture(this.graphqlFixtureName(owner, name));
+
+      data[`r${index}`] = fixture ? fixture.repository : null;
+
+      if (!fixture) {
+        errors.push({
+          type: 'NOT_FOUND',
+          path: [`r${index}`],
+          message: `Could not resolve to a Repository with the name '${owner}/${name}'.`
+        });
+      }
+    });
+
+    res.set(this.rateLimitHeaders('/graphql'));
+    return res.json(errors.length > 0 ? { data, errors } : { data });
+  }
+
+  graphqlFixtureName(owner, name) {
+    return `GRAPHQL_repository_${owner}_${name}.json`.replace(/[^A-Za-z0-9._-]+/g, '_');
+  }
+
+  rateLimitResources() {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    const resource = limit => ({ limit, remaining: limit, reset, used: 0 });
+
+    return {
+      core: resource(5000),
+      search: resource(30),
+      code_search: resource(10),
+      graphql: resource(5000)
+    };
+  }
+
+  /**
+   * Shift recorded weekly statistics so the newest week is the current one,
+   * keeping fixtures inside the collector's recent-activity window
+   */
+  rebaseWeeks(pathname, body) {
+    if (!Array.isArray(body)) {
+      return body;
+    }
+
+    // GitHub weeks start on Sunday 00:00 UTC, the epoch was a Thursday
+    const now = Math.floor(Date.now() / 1000) + 4 * 24 * 60 * 60;
+    const currentWeek = Math.floor(now / WEEK_SECONDS) * WEEK_SECONDS - 4 * 24 * 60 * 60;
+
+    if (pathname.endsWith('/stats/contributors')) {
+      const latest = Math.max(...body.flatMap(contributor => contributor.weeks.map(week => week.w)));
+      const shift = currentWeek - latest;
+
+      return body.map(contributor => ({
+        ...contributor,
+        weeks: contributor.weeks.map(week => ({ ...week, w: week.w + shift }))
+      }));
+    }
+
+    if (pathname.endsWith('/stats/commit_activity')) {
+      const latest = Math.max(...body.map(week => week.week));
+      const shift = currentWeek - latest;
+
+      return body.map(week => ({ ...week, week: week.week + shift }));
+    }
+
+    return body;
+  }
+
+  /**
+   * Shift recorded issues, pull requests, reviews and releases so the latest
+   * update happened an hour ago, keeping them inside the sync windows
+   */
+  rebaseTimestamps(pathname, body) {
+    if (!Array.isArray(body) || !/\/(issues|pulls|reviews|releases)$/.test(pathname)) {
+      return body;
+    }
+
+    const times = body
+      .map(item => item.updated_at || item.submitted_at || item.published_at)
+      .filter(Boolean)
+      .map(time => Date.parse(time));
+
+    if (times.length === 0) {
+      return body;
+    }
+
+    const shift = Date.now() - 60 * 60 * 1000 - Math.max(...times);
+
+    return body.map((item) => {
+      const shifted = { ...item };
+      TIMESTAMP_FIELDS.forEach((field) => {
+        if (item[field]) {
+          shifted[field] = new Date(Date.parse(item[field]) + shift).toISOString().replace('.000Z', 'Z');
+        }
+      });
+      return shifted;
+    });
+  }
+
+  /**
+   * Send a request on to the real API with the caller's credentials
+   */
+  async forward(req) {
+    const headers = {};
+    ['authorization', 'accept', 'content-type', 'if-none-match', 'if-modified-since', 'user-agent'].forEach((name) => {
+      if (req.headers[name]) {
+        headers[name] = req.headers[name];
+      }
+    });
+
+    const response = await fetch(`${this.upstreamUrl}${req.originalUrl}`, {
+      method: req.method,
+      headers,
+      body: req.method === 'GET' ? undefined : JSON.stringify(req.body)
+    });
+
+    const text = await response.text();
+
+    return {
+      status: response.status,
+      headers: Object.fromEntries(response.headers.entries()),
+      body: text ? JSON.parse(text) : null
+    };
+  }
+
+  pickHeaders(headers) {
+    const picked = {};
+    RECORDED_HEADERS.forEach((name) => {
+      if (headers[name]) {
+        picked[name] = headers[name];
+      }
+    });
+    return picked;
+  }
+
+  send(res, status, headers, body) {
+    const forwarded = { ...this.pickHeaders(headers) };
+    Object.keys(headers)
+      .filter(name => name.startsWith('x-ratelimit-'))
+      .forEach((name) => {
+        forwarded[name] = headers[name];
+      });
+
+    res.status(status).set(forwarded);
+    return body === null ? res.end() : res.json(body);
+  }
+}
+
+module.exports = FakeGitHubServer;
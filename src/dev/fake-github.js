@@ -0,0 +1,19 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const FakeGitHubServer = require('./FakeGitHubServer');
+
+// Run with GITHUB_API_URL=http://localhost:3100 on the collector
+const server = new FakeGitHubServer(config.fakeGitHub);
+
+server.start().catch((error) => {
+  logger.error({ error: error.message }, 'Failed to start fake GitHub server');
+  process.exit(1);
+});
+
+const shutdown = async () => {
+  await server.stop();
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
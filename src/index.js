@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const express = require('express');
 const cron = require('node-cron');
 const config = require('./config');
@@ -6,14 +7,23 @@ const DatabaseService = require('./services/database/DatabaseService');
 const GitHubService = require('./services/github/GitHubService');
 const RepositoryDiscoveryWorker = require('./workers/RepositoryDiscoveryWorker');
 const DeveloperActivityWorker = require('./workers/DeveloperActivityWorker');
+const ContributionWorker = require('./workers/ContributionWorker');
+const DependencyWorker = require('./workers/DependencyWorker');
+const CommitWorker = require('./workers/CommitWorker');
+const RepositoryRefreshWorker = require('./workers/RepositoryRefreshWorker');
+const { parseVersion, compareVersions } = require('./utils/releases');
 
 class SolanaGithubCollector {
   constructor() {
     this.app = express();
     this.dbService = new DatabaseService();
-    this.githubService = new GitHubService();
-    this.repoWorker = new RepositoryDiscoveryWorker();
+    this.githubService = new GitHubService({ priority: 'interactive' });
+    this.discoveryWorkers = config.ecosystems.map(ecosystem => new RepositoryDiscoveryWorker(ecosystem));
     this.devWorker = new DeveloperActivityWorker();
+    this.contributionWorker = new ContributionWorker();
+    this.dependencyWorker = new DependencyWorker();
+    this.commitWorker = new CommitWorker();
+    this.refreshWorker = new RepositoryRefreshWorker();
     this.isInitialized = false;
     this.cronJobs = [];
   }
@@ -34,6 +44,20 @@ class SolanaGithubCollector {
       // Sync database models (creates tables if they don't exist)
       await this.dbService.syncModels();
 
+      // Start the search query catalogue of each ecosystem from its default queries
+      for (const ecosystem of config.ecosystems) {
+        await this.dbService.seedSearchQueries(ecosystem.name, [
+          ...ecosystem.codeSearchQueries.map(({ filename, extension, keyword, type }) => ({
+            strategy: 'code',
+            filename,
+            extension,
+            keyword,
+            repoType: type
+          })),
+          ...ecosystem.repositorySearchKeywords.map(keyword => ({ strategy: 'repository', keyword }))
+        ]);
+      }
+
       // Setup HTTP server for health checks
       this.setupHTTPServer();
 
@@ -46,7 +70,7 @@ class SolanaGithubCollector {
       // Run initial discovery immediately
       if (process.env.RUN_ON_STARTUP !== 'false') {
         logger.info('Running initial repository discovery');
-        await this.repoWorker.run();
+        await this.runDiscovery(this.discoveryWorkers);
 
         logger.info('Running initial developer activity collection');
         await this.devWorker.run();
@@ -73,6 +97,9 @@ class SolanaGithubCollector {
         const dbHealthy = await this.dbService.testConnection();
         const stats = await this.dbService.getStats();
         const githubHealth = await this.githubService.getHealthStatus();
+        const scheduler = await this.githubService.getSchedulerStatus();
+        const budgets = await this.githubService.getBudgetStatus();
+        const cache = this.githubService.getCacheStatus();
 
         const health = {
           status: dbHealthy ? 'healthy' : 'unhealthy',
@@ -83,14 +110,33 @@ class SolanaGithubCollector {
             stats
           },
           github: {
-            tokens: githubHealth
+            tokens: githubHealth,
+            scheduler,
+            budgets,
+            cache
           },
           workers: {
             repoDiscovery: {
-              running: this.repoWorker.isRunning
+              running: this.discoveryWorkers.some(worker => worker.isRunning),
+              ecosystems: Object.fromEntries(this.discoveryWorkers.map(worker => [
+                worker.ecosystem.name,
+                { running: worker.isRunning }
+              ]))
             },
             developerActivity: {
               running: this.devWorker.isRunning
+            },
+            contributions: {
+              running: this.contributionWorker.isRunning
+            },
+            dependencies: {
+              running: this.dependencyWorker.isRunning
+            },
+            commits: {
+              running: this.commitWorker.isRunning
+            },
+            refresh: {
+              running: this.refreshWorker.isRunning
             }
           }
         };
@@ -135,6 +181,189 @@ class SolanaGithubCollector {
       }
     });
 
+    // Token usage report, ?from=&to= as ISO dates (defaults to the last 24 hours)
+    this.app.get('/tokens', async (req, res) => {
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({ error: 'Invalid time range' });
+      }
+
+      try {
+        // Include requests made since the last flush
+        await this.flushTokenUsage();
+
+        const rows = await this.dbService.getTokenUsage({ from, to });
+        res.json({
+          from: from.toISOString(),
+          to: to.toISOString(),
+          tokens: this.buildTokenReport(rows, to.getTime() - from.getTime())
+        });
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to get token usage report');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Repositories filtered by ecosystem, language and topic, ?ecosystem=solana
+    // &language=Rust&minShare=0.5&primaryLanguage=TypeScript&topic=anchor&status=active&limit=100&offset=0
+    this.app.get('/repositories', async (req, res) => {
+      const limit = parseInt(req.query.limit || '100');
+      const offset = parseInt(req.query.offset || '0');
+      const minLanguageShare = parseFloat(req.query.minShare || '0');
+
+      if (isNaN(limit) || limit < 1 || limit > 1000 || isNaN(offset) || offset < 0) {
+        return res.status(400).json({ error: 'limit must be between 1 and 1000, offset at least 0' });
+      }
+      if (isNaN(minLanguageShare) || minLanguageShare < 0 || minLanguageShare > 1) {
+        return res.status(400).json({ error: 'minShare must be between 0 and 1' });
+      }
+
+      try {
+        const { count, rows } = await this.dbService.findRepositories({
+          ecosystem: req.query.ecosystem,
+          language: req.query.language,
+          minLanguageShare,
+          primaryLanguage: req.query.primaryLanguage,
+          topic: req.query.topic,
+          status: req.query.status,
+          limit,
+          offset
+        });
+
+        res.json({
+          total: count,
+          limit,
+          offset,
+          repositories: rows.map(repo => ({
+            repoId: repo.repoId,
+            owner: repo.owner,
+            name: repo.name,
+            url: repo.url,
+            stars: repo.stars,
+            status: repo.status,
+            isFork: repo.isFork,
+            ecosystems: repo.RepoEcosystems.map(tag => tag.ecosystem).sort(),
+            primaryLanguage: (repo.RepoLanguages.find(language => language.isPrimary) || { Language: {} }).Language.name || null,
+            languages: repo.RepoLanguages.map(language => ({
+              name: language.Language.name,
+              bytes: Number(language.bytes),
+              share: language.share
+            })),
+            topics: repo.RepoTopics.map(topic => topic.Topic.name).sort()
+          }))
+        });
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to find repositories');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Repositories and code per language, as classified by GitHub
+    this.app.get('/reports/languages', async (req, res) => {
+      try {
+        const rows = await this.dbService.getLanguageBreakdown();
+        const totalBytes = rows.reduce((sum, row) => sum + Number(row.bytes), 0);
+
+        res.json({
+          languages: rows.map(row => ({
+            language: row.language,
+            repositories: row.repositories,
+            primaryRepositories: row.primaryRepositories,
+            bytes: Number(row.bytes),
+            share: totalBytes > 0 ? Math.round(Number(row.bytes) / totalBytes * 1000) / 1000 : 0
+          }))
+        });
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to get language report');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // SDK version adoption, ?package=anchor-lang&months=12&granularity=minor
+    this.app.get('/reports/sdk-adoption', async (req, res) => {
+      const packageName = req.query.package;
+      const months = parseInt(req.query.months || '12');
+      const granularity = req.query.granularity || 'minor';
+      const tracked = Object.values(config.trackedPackages).flat();
+
+      if (!tracked.includes(packageName)) {
+        return res.status(400).json({ error: 'Unknown package', tracked });
+      }
+      if (isNaN(months) || months < 1 || months > 60) {
+        return res.status(400).json({ error: 'months must be between 1 and 60' });
+      }
+      if (!['major', 'minor', 'patch'].includes(granularity)) {
+        return res.status(400).json({ error: 'granularity must be major, minor or patch' });
+      }
+
+      try {
+        const adoption = await this.dbService.getDependencyAdoption({ packageName, months, granularity });
+        res.json({
+          package: packageName,
+          granularity,
+          ...this.buildAdoptionReport(adoption)
+        });
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to get SDK adoption report');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Fastest growing repositories, ?metric=stars&days=30&order=growth&minStart=0&limit=20
+    this.app.get('/reports/growth', async (req, res) => {
+      const metric = req.query.metric || 'stars';
+      const days = parseInt(req.query.days || '30');
+      const orderBy = req.query.order || 'growth';
+      const minStart = parseInt(req.query.minStart || '0');
+      const limit = parseInt(req.query.limit || '20');
+      const metrics = ['stars', 'forks', 'watchers', 'openIssues', 'size'];
+
+      if (!metrics.includes(metric)) {
+        return res.status(400).json({ error: 'Unknown metric', metrics });
+      }
+      if (isNaN(days) || days < 1 || days > 3650) {
+        return res.status(400).json({ error: 'days must be between 1 and 3650' });
+      }
+      if (!['growth', 'rate'].includes(orderBy)) {
+        return res.status(400).json({ error: 'order must be growth or rate' });
+      }
+      if (isNaN(minStart) || minStart < 0) {
+        return res.status(400).json({ error: 'minStart must be zero or more' });
+      }
+      if (isNaN(limit) || limit < 1 || limit > 500) {
+        return res.status(400).json({ error: 'limit must be between 1 and 500' });
+      }
+
+      try {
+        const to = new Date();
+        const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+        const rows = await this.dbService.getRepositoryGrowth({ from, to, metric, orderBy, minStart, limit });
+
+        res.json({
+          metric,
+          from,
+          to,
+          repositories: rows.map(row => ({
+            repoId: row.repoId,
+            fullName: `${row.owner}/${row.name}`,
+            url: row.url,
+            status: row.status,
+            startAt: row.startAt,
+            start: row.startValue,
+            endAt: row.endAt,
+            end: row.endValue,
+            growth: row.growth,
+            rate: row.rate === null ? null : Math.round(row.rate * 1000) / 1000
+          }))
+        });
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to get growth report');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Metrics endpoint (Prometheus format)
     this.app.get('/metrics', async (req, res) => {
       try {
@@ -146,6 +375,13 @@ class SolanaGithubCollector {
         metrics += `# TYPE solana_github_repositories gauge\n`;
         metrics += `solana_github_repositories ${stats.repositories}\n\n`;
 
+        metrics += `# HELP solana_github_ecosystem_repositories Repositories tagged with each ecosystem\n`;
+        metrics += `# TYPE solana_github_ecosystem_repositories gauge\n`;
+        Object.entries(stats.repositoriesByEcosystem).forEach(([ecosystem, count]) => {
+          metrics += `solana_github_ecosystem_repositories{ecosystem="${ecosystem}"} ${count}\n`;
+        });
+        metrics += '\n';
+
         metrics += `# HELP solana_github_developers Total number of developers\n`;
         metrics += `# TYPE solana_github_developers gauge\n`;
         metrics += `solana_github_developers ${stats.developers}\n\n`;
@@ -172,17 +408,24 @@ class SolanaGithubCollector {
     });
 
     // Manual trigger endpoints (for debugging/ops)
+    // Discovery of every ecosystem in turn, or of one with ?ecosystem=solana
     this.app.post('/trigger/discovery', async (req, res) => {
-      if (this.repoWorker.isRunning) {
+      const ecosystem = req.query.ecosystem;
+      const workers = this.discoveryWorkers.filter(worker => !ecosystem || worker.ecosystem.name === ecosystem);
+
+      if (workers.length === 0) {
+        return res.status(400).json({ error: 'Unknown ecosystem', ecosystems: config.ecosystems.map(e => e.name) });
+      }
+      if (workers.some(worker => worker.isRunning)) {
         return res.status(409).json({ error: 'Discovery already running' });
       }
 
-      logger.info('Manual trigger: Repository discovery');
-      this.repoWorker.run().catch(err => {
+      logger.info({ ecosystem }, 'Manual trigger: Repository discovery');
+      this.runDiscovery(workers, { priority: 'interactive' }).catch(err => {
         logger.error({ error: err.message }, 'Manual discovery failed');
       });
 
-      res.json({ message: 'Repository discovery started' });
+      res.json({ message: 'Repository discovery started', ecosystems: workers.map(worker => worker.ecosystem.name) });
     });
 
     this.app.post('/trigger/activities', async (req, res) => {
@@ -191,7 +434,7 @@ class SolanaGithubCollector {
       }
 
       logger.info('Manual trigger: Developer activity collection');
-      this.devWorker.run().catch(err => {
+      this.devWorker.run({ priority: 'interactive' }).catch(err => {
         logger.error({ error: err.message }, 'Manual activity collection failed');
       });
 
@@ -211,6 +454,161 @@ class SolanaGithubCollector {
       res.json({ message: 'Activity backfill started' });
     });
 
+    this.app.post('/trigger/dependencies', async (req, res) => {
+      if (this.dependencyWorker.isRunning) {
+        return res.status(409).json({ error: 'Dependency collection already running' });
+      }
+
+      logger.info('Manual trigger: Dependency collection');
+      this.dependencyWorker.run({ priority: 'interactive' }).catch(err => {
+        logger.error({ error: err.message }, 'Manual dependency collection failed');
+      });
+
+      res.json({ message: 'Dependency collection started' });
+    });
+
+    this.app.post('/trigger/refresh', async (req, res) => {
+      if (this.refreshWorker.isRunning) {
+        return res.status(409).json({ error: 'Repository refresh already running' });
+      }
+
+      logger.info('Manual trigger: Repository refresh');
+      this.refreshWorker.run({ priority: 'interactive' }).catch(err => {
+        logger.error({ error: err.message }, 'Manual repository refresh failed');
+      });
+
+      res.json({ message: 'Repository refresh started' });
+    });
+
+    this.app.post('/trigger/commits', async (req, res) => {
+      if (this.commitWorker.isRunning) {
+        return res.status(409).json({ error: 'Commit collection already running' });
+      }
+
+      logger.info('Manual trigger: Commit collection');
+      this.commitWorker.run({ priority: 'interactive' }).catch(err => {
+        logger.error({ error: err.message }, 'Manual commit collection failed');
+      });
+
+      res.json({ message: 'Commit collection started' });
+    });
+
+    this.app.post('/trigger/contributions', async (req, res) => {
+      if (this.contributionWorker.isRunning) {
+        return res.status(409).json({ error: 'Contribution collection already running' });
+      }
+
+      logger.info('Manual trigger: Contribution collection');
+      this.contributionWorker.run({ priority: 'interactive' }).catch(err => {
+        logger.error({ error: err.message }, 'Manual contribution collection failed');
+      });
+
+      res.json({ message: 'Contribution collection started' });
+    });
+
+    // Token administration (requires ADMIN_API_KEY)
+    const admin = (req, res, next) => this.requireAdmin(req, res, next);
+    const tokenManager = this.githubService.tokenManager;
+
+    this.app.get('/admin/tokens', admin, (req, res) => {
+      res.json({ tokens: tokenManager.listTokens() });
+    });
+
+    this.app.post('/admin/tokens', admin, (req, res) => {
+      const { token, appId, installationId, privateKey, label } = req.body || {};
+
+      try {
+        const entry = tokenManager.addToken({
+          token,
+          app: appId ? { appId, installationId, privateKey } : undefined,
+          label,
+          source: 'admin'
+        });
+
+        logger.info({ tokenId: entry.id, label: entry.label }, 'Admin: Token added');
+        res.status(201).json(tokenManager.describeToken(entry));
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/admin/tokens/:id', admin, (req, res) => {
+      try {
+        const entry = tokenManager.removeToken(req.params.id);
+        res.json(tokenManager.describeToken(entry));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/admin/tokens/:id/disable', admin, (req, res) => {
+      try {
+        const entry = tokenManager.disableToken(req.params.id);
+        res.json(tokenManager.describeToken(entry));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/admin/tokens/:id/enable', admin, (req, res) => {
+      try {
+        const entry = tokenManager.enableToken(req.params.id);
+        res.json(tokenManager.describeToken(entry));
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Search query catalogue used by discovery, with each query's yield
+    // (requires ADMIN_API_KEY), ?ecosystem=solana&strategy=code&enabled=true
+    this.app.get('/admin/search-queries', admin, async (req, res) => {
+      try {
+        const queries = await this.dbService.getSearchQueries({
+          ecosystem: req.query.ecosystem,
+          strategy: req.query.strategy,
+          enabled: req.query.enabled !== undefined ? req.query.enabled === 'true' : undefined
+        });
+
+        res.json({ queries });
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to list search queries');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/admin/search-queries', admin, async (req, res) => {
+      const { query: fields, error: invalid } = this.parseSearchQuery(req.body || {});
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      try {
+        const duplicate = await this.dbService.findDuplicateSearchQuery(fields);
+        if (duplicate) {
+          return res.status(409).json({ error: 'Search query already exists', id: duplicate.id });
+        }
+
+        const query = await this.dbService.createSearchQuery(fields);
+        logger.info({ queryId: query.id, ecosystem: query.ecosystem, strategy: query.strategy, keyword: query.keyword }, 'Admin: Search query added');
+        res.status(201).json(query);
+      } catch (error) {
+        logger.error({ error: error.message }, 'Failed to create search query');
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.patch('/admin/search-queries/:id', admin, async (req, res) => {
+      await this.updateSearchQuery(req, res, req.body || {});
+    });
+
+    this.app.post('/admin/search-queries/:id/disable', admin, async (req, res) => {
+      await this.updateSearchQuery(req, res, { enabled: false });
+    });
+
+    this.app.post('/admin/search-queries/:id/enable', admin, async (req, res) => {
+      await this.updateSearchQuery(req, res, { enabled: true });
+    });
+
     // Start the server
     const port = config.port;
     this.app.listen(port, () => {
@@ -218,23 +616,271 @@ class SolanaGithubCollector {
     });
   }
 
+  /**
+   * Run the discovery of several ecosystems one after another
+   */
+  async runDiscovery(workers, options = {}) {
+    for (const worker of workers) {
+      await worker.run(options);
+    }
+  }
+
+  /**
+   * Write accumulated per-token usage counters to the database
+   */
+  async flushTokenUsage() {
+    const usage = this.githubService.tokenManager.usage;
+    const rows = usage.drain();
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    try {
+      await this.dbService.recordTokenUsage(rows);
+    } catch (error) {
+      usage.restore(rows);
+      throw error;
+    }
+  }
+
+  /**
+   * Shape adoption rows into one entry per month, version lines newest
+   * first with their share of the repositories using the package
+   */
+  buildAdoptionReport({ series, firstSeen }) {
+    // Version lines look like `1`, `0.30` or `1.18.26`
+    const parse = line => parseVersion(line.includes('.') ? line : `${line}.0`) || { major: 0, minor: 0, patch: 0, prerelease: null };
+    const newestFirst = (a, b) => compareVersions(parse(b.version), parse(a.version));
+    const months = new Map();
+
+    for (const row of series) {
+      const month = new Date(row.month).toISOString().slice(0, 7);
+      if (!months.has(month)) {
+        months.set(month, { month, repositories: 0, versions: [] });
+      }
+
+      const entry = months.get(month);
+      if (row.versionLine === null) {
+        entry.repositories = row.repositories;
+      } else {
+        entry.versions.push({ version: row.versionLine, repositories: row.repositories });
+      }
+    }
+
+    for (const entry of months.values()) {
+      entry.versions.sort(newestFirst);
+      entry.versions.forEach((version) => {
+        version.share = entry.repositories > 0 ? Math.round(version.repositories / entry.repositories * 1000) / 1000 : 0;
+      });
+    }
+
+    return {
+      months: [...months.values()],
+      versions: firstSeen
+        .map(row => ({ version: row.versionLine, firstSeenAt: row.firstSeenAt }))
+        .sort(newestFirst)
+    };
+  }
+
+  /**
+   * Group usage rows by token, adding utilisation and efficiency ratios
+   */
+  buildTokenReport(rows, periodMs) {
+    const tokenManager = this.githubService.tokenManager;
+    const tokens = new Map();
+
+    for (const row of rows) {
+      if (!tokens.has(row.tokenKey)) {
+        const current = tokenManager.tokens.find(t => t.key === row.tokenKey);
+        tokens.set(row.tokenKey, {
+          tokenKey: row.tokenKey,
+          label: row.tokenLabel,
+          tokenId: current ? current.id : null,
+          inPool: Boolean(current),
+          apiTypes: {}
+        });
+      }
+
+      const capacity = tokenManager.getTokenCapacity(row.tokenKey, row.apiType, periodMs);
+      const successful = row.requests - row.errors;
+
+      tokens.get(row.tokenKey).apiTypes[row.apiType] = {
+        requests: row.requests,
+        errors: row.errors,
+        rateLimitHits: row.rateLimitHits,
+        rateLimitWaits: row.rateLimitWaits,
+        rateLimitWaitMs: Number(row.rateLimitWaitMs),
+        activeHours: row.activeHours,
+        utilisation: capacity ? row.requests / capacity : null,
+        efficiency: row.requests > 0 ? successful / row.requests : null
+      };
+    }
+
+    return [...tokens.values()];
+  }
+
+  /**
+   * Search query fields from a request body, checked together with the
+   * fields of the query being updated. New queries belong to the first
+   * configured ecosystem unless one is given. Returns `{ error }` when invalid.
+   */
+  parseSearchQuery(body, current = null) {
+    const fields = {};
+    ['ecosystem', 'strategy', 'filename', 'extension', 'keyword', 'repoType', 'enabled', 'priority', 'notes'].forEach((key) => {
+      if (body[key] !== undefined) {
+        fields[key] = body[key];
+      }
+    });
+
+    const query = {
+      ecosystem: config.ecosystems[0].name,
+      enabled: true,
+      priority: 0,
+      ...(current ? current.get({ plain: true }) : {}),
+      ...fields
+    };
+    const ecosystems = config.ecosystems.map(ecosystem => ecosystem.name);
+
+    if (fields.ecosystem !== undefined && !ecosystems.includes(fields.ecosystem)) {
+      return { error: `ecosystem must be one of ${ecosystems.join(', ')}` };
+    }
+
+    if (!['code', 'repository'].includes(query.strategy)) {
+      return { error: 'strategy must be code or repository' };
+    }
+    if (typeof query.keyword !== 'string' || !query.keyword.trim()) {
+      return { error: 'keyword is required' };
+    }
+    if (['filename', 'extension', 'repoType', 'notes'].some(key => query[key] != null && typeof query[key] !== 'string')) {
+      return { error: 'filename, extension, repoType and notes must be strings' };
+    }
+    if (query.strategy === 'code' && !query.filename && !query.extension) {
+      return { error: 'code search queries need a filename or extension' };
+    }
+    if (query.strategy === 'repository' && (query.filename || query.extension || query.repoType)) {
+      return { error: 'repository search queries only take keywords' };
+    }
+    if (!Number.isInteger(query.priority)) {
+      return { error: 'priority must be an integer' };
+    }
+    if (typeof query.enabled !== 'boolean') {
+      return { error: 'enabled must be true or false' };
+    }
+
+    return { fields, query };
+  }
+
+  /**
+   * Apply changes to the search query named in the request
+   */
+  async updateSearchQuery(req, res, changes) {
+    const id = parseInt(req.params.id);
+
+    try {
+      const current = isNaN(id) ? null : await this.dbService.getSearchQuery(id);
+      if (!current) {
+        return res.status(404).json({ error: 'Search query not found' });
+      }
+
+      const { fields, query, error: invalid } = this.parseSearchQuery(changes, current);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      const duplicate = await this.dbService.findDuplicateSearchQuery(query, id);
+      if (duplicate) {
+        return res.status(409).json({ error: 'Search query already exists', id: duplicate.id });
+      }
+
+      const updated = await this.dbService.updateSearchQuery(id, fields);
+      logger.info({ queryId: id, changes: Object.keys(fields) }, 'Admin: Search query updated');
+      res.json(updated);
+    } catch (error) {
+      logger.error({ error: error.message, queryId: id }, 'Failed to update search query');
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Only let requests carrying the admin API key through
+   */
+  requireAdmin(req, res, next) {
+    const apiKey = config.admin.apiKey;
+    if (!apiKey) {
+      return res.status(403).json({ error: 'Admin API is disabled' });
+    }
+
+    const provided = Buffer.from((req.get('authorization') || '').replace(/^Bearer /, ''));
+    const expected = Buffer.from(apiKey);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  }
+
   /**
    * Setup cron jobs for periodic data collection
    */
   setupCronJobs() {
-    // Repository discovery - runs every hour
+    // Token usage accounting - flushed every minute
+    const usageJob = cron.schedule('* * * * *', async () => {
+      try {
+        await this.flushTokenUsage();
+      } catch (error) {
+        logger.error({ error: error.message }, 'Cron: Token usage flush failed');
+      }
+    });
+
+    this.cronJobs.push(usageJob);
+
+    // Response cache pruning - runs every hour
+    if (config.github.responseCache.enabled) {
+      const cacheJob = cron.schedule('30 * * * *', async () => {
+        try {
+          await this.dbService.pruneResponseCache(config.github.responseCache.endpoints);
+        } catch (error) {
+          logger.error({ error: error.message }, 'Cron: Response cache pruning failed');
+        }
+      });
+
+      this.cronJobs.push(cacheJob);
+    }
+
+    // Repository discovery - on each ecosystem's own schedule
     if (config.workers.repoDiscovery.enabled) {
-      const discoveryJob = cron.schedule('0 * * * *', async () => {
-        logger.info('Cron: Starting repository discovery');
+      this.discoveryWorkers.forEach((worker) => {
+        const { name, discoverySchedule } = worker.ecosystem;
+        const discoveryJob = cron.schedule(discoverySchedule, async () => {
+          logger.info({ ecosystem: name }, 'Cron: Starting repository discovery');
+          try {
+            await worker.run();
+          } catch (error) {
+            logger.error({ error: error.message, ecosystem: name }, 'Cron: Repository discovery failed');
+          }
+        });
+
+        this.cronJobs.push(discoveryJob);
+        logger.info({ ecosystem: name, schedule: discoverySchedule }, 'Repository discovery cron scheduled');
+      });
+    }
+
+    // Metadata of known repositories - runs every 3 hours, each repository
+    // is refreshed once its metadata is stale for how active it is
+    if (config.workers.refresh.enabled) {
+      const refreshJob = cron.schedule('45 */3 * * *', async () => {
+        logger.info('Cron: Starting repository refresh');
         try {
-          await this.repoWorker.run();
+          await this.refreshWorker.run();
         } catch (error) {
-          logger.error({ error: error.message }, 'Cron: Repository discovery failed');
+          logger.error({ error: error.message }, 'Cron: Repository refresh failed');
         }
       });
 
-      this.cronJobs.push(discoveryJob);
-      logger.info('Repository discovery cron scheduled (every hour)');
+      this.cronJobs.push(refreshJob);
+      logger.info('Repository refresh cron scheduled (every 3 hours)');
     }
 
     // Developer activity collection - runs every 2 hours
@@ -252,6 +898,66 @@ class SolanaGithubCollector {
       logger.info('Developer activity collection cron scheduled (every 2 hours)');
     }
 
+    // Repositories whose statistics were still being computed - every 15 minutes
+    if (config.workers.developerFetch.enabled) {
+      const pendingStatsJob = cron.schedule('*/15 * * * *', async () => {
+        try {
+          await this.devWorker.runPendingStats();
+        } catch (error) {
+          logger.error({ error: error.message }, 'Cron: Pending statistics processing failed');
+        }
+      });
+
+      this.cronJobs.push(pendingStatsJob);
+      logger.info('Pending statistics cron scheduled (every 15 minutes)');
+    }
+
+    // Pull requests, issues and reviews - runs every 2 hours, between activity runs
+    if (config.workers.contributions.enabled) {
+      const contributionJob = cron.schedule('0 1-23/2 * * *', async () => {
+        logger.info('Cron: Starting contribution collection');
+        try {
+          await this.contributionWorker.run();
+        } catch (error) {
+          logger.error({ error: error.message }, 'Cron: Contribution collection failed');
+        }
+      });
+
+      this.cronJobs.push(contributionJob);
+      logger.info('Contribution collection cron scheduled (every 2 hours)');
+    }
+
+    // Individual commits and co-authors - runs every 6 hours when enabled
+    if (config.workers.commits.enabled) {
+      const commitJob = cron.schedule('30 */6 * * *', async () => {
+        logger.info('Cron: Starting commit collection');
+        try {
+          await this.commitWorker.run();
+        } catch (error) {
+          logger.error({ error: error.message }, 'Cron: Commit collection failed');
+        }
+      });
+
+      this.cronJobs.push(commitJob);
+      logger.info('Commit collection cron scheduled (every 6 hours)');
+    }
+
+    // Dependency manifests and lockfiles - runs daily at 4 AM, each
+    // repository is read again once its last scan is refreshDays old
+    if (config.workers.dependencies.enabled) {
+      const dependencyJob = cron.schedule('0 4 * * *', async () => {
+        logger.info('Cron: Starting dependency collection');
+        try {
+          await this.dependencyWorker.run();
+        } catch (error) {
+          logger.error({ error: error.message }, 'Cron: Dependency collection failed');
+        }
+      });
+
+      this.cronJobs.push(dependencyJob);
+      logger.info('Dependency collection cron scheduled (daily at 4 AM)');
+    }
+
     // Backfill missing activities - runs daily at 2 AM
     if (config.workers.developerFetch.enabled) {
       const backfillJob = cron.schedule('0 2 * * *', async () => {
@@ -277,6 +983,14 @@ class SolanaGithubCollector {
     // Stop cron jobs
     this.cronJobs.forEach(job => job.stop());
 
+    // Keep the usage counted since the last flush
+    await this.flushTokenUsage().catch((error) => {
+      logger.error({ error: error.message }, 'Failed to flush token usage on shutdown');
+    });
+
+    // Close the shared token manager and its state store
+    await this.githubService.close();
+
     // Close database connection
     await this.dbService.close();
 
@@ -0,0 +1,35 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CodeSearchPartitions extends Model {}
+
+  CodeSearchPartitions.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      query: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Code search query, without the size qualifier'
+      },
+      ranges: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        comment: 'Non-overlapping file size ranges [{ min, max, totalCount }] each holding fewer results than the search cap'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'CodeSearchPartitions',
+      tableName: 'CodeSearchPartitions',
+      timestamps: true
+    }
+  );
+
+  return CodeSearchPartitions;
+};
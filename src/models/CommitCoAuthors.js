@@ -0,0 +1,68 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CommitCoAuthors extends Model {}
+
+  CommitCoAuthors.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      commitId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Commits',
+          key: 'id'
+        }
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Lowercased email from the Co-authored-by trailer'
+      },
+      developerId: {
+        type: DataTypes.INTEGER,
+        references: {
+          model: 'Developers',
+          key: 'id'
+        },
+        comment: 'Null until the email is matched to a GitHub account'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'CommitCoAuthors',
+      tableName: 'CommitCoAuthors',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['commitId', 'email']
+        },
+        {
+          fields: ['email']
+        },
+        {
+          fields: ['developerId']
+        }
+      ]
+    }
+  );
+
+  return CommitCoAuthors;
+};
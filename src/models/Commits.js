@@ -0,0 +1,85 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Commits extends Model {}
+
+  Commits.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      sha: {
+        type: DataTypes.STRING(40),
+        allowNull: false
+      },
+      authoredAt: {
+        type: DataTypes.DATE
+      },
+      committedAt: {
+        type: DataTypes.DATE
+      },
+      authorName: {
+        type: DataTypes.STRING
+      },
+      authorEmail: {
+        type: DataTypes.STRING,
+        comment: 'Lowercased git author email'
+      },
+      authorLogin: {
+        type: DataTypes.STRING,
+        comment: 'GitHub account the author email is linked to, null when unlinked'
+      },
+      developerId: {
+        type: DataTypes.INTEGER,
+        references: {
+          model: 'Developers',
+          key: 'id'
+        },
+        comment: 'Set from the linked account, or later once the email is matched to one'
+      },
+      committerEmail: {
+        type: DataTypes.STRING,
+        comment: 'Lowercased git committer email, noreply@github.com for web commits'
+      },
+      committerLogin: {
+        type: DataTypes.STRING
+      },
+      isMerge: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Commits',
+      tableName: 'Commits',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['repositoryId', 'sha']
+        },
+        {
+          fields: ['authorEmail']
+        },
+        {
+          fields: ['developerId', 'authoredAt']
+        }
+      ]
+    }
+  );
+
+  return Commits;
+};
@@ -0,0 +1,48 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class DeveloperEmails extends Model {}
+
+  DeveloperEmails.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Lowercased commit email'
+      },
+      developerId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Developers',
+          key: 'id'
+        }
+      },
+      source: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'commit when GitHub linked a commit with this email to the account, noreply for login@users.noreply.github.com'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'DeveloperEmails',
+      tableName: 'DeveloperEmails',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['developerId']
+        }
+      ]
+    }
+  );
+
+  return DeveloperEmails;
+};
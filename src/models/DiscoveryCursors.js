@@ -0,0 +1,70 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class DiscoveryCursors extends Model {}
+
+  DiscoveryCursors.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      ecosystem: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'solana',
+        comment: 'Ecosystem whose search this is, each ecosystem scans the same search on its own'
+      },
+      strategy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Discovery strategy: code or repository search'
+      },
+      query: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Search query, without the size qualifier'
+      },
+      sizeRange: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: '',
+        comment: 'File size range of code searches, empty for repository search'
+      },
+      nextPage: {
+        type: DataTypes.JSONB,
+        comment: 'Pagination parameters of the next page while a scan is in progress'
+      },
+      page: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Last page processed by the current or last scan'
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        comment: 'Start of the current or last scan'
+      },
+      completedAt: {
+        type: DataTypes.DATE,
+        comment: 'End of the last complete scan'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'DiscoveryCursors',
+      tableName: 'DiscoveryCursors',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['ecosystem', 'strategy', 'query', 'sizeRange']
+        }
+      ]
+    }
+  );
+
+  return DiscoveryCursors;
+};
@@ -0,0 +1,71 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class GitHubResponseCache extends Model {}
+
+  GitHubResponseCache.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      cacheKey: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of the method, expanded URL and Accept header'
+      },
+      endpoint: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Route template, e.g. GET /repos/{owner}/{repo}'
+      },
+      url: {
+        type: DataTypes.TEXT,
+        allowNull: false
+      },
+      etag: {
+        type: DataTypes.STRING
+      },
+      lastModified: {
+        type: DataTypes.STRING
+      },
+      headers: {
+        type: DataTypes.JSONB,
+        comment: 'Response headers that 304s do not repeat, such as Link'
+      },
+      data: {
+        type: DataTypes.JSONB
+      },
+      size: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Size of the response body in bytes'
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Last time the entry was stored or revalidated with a 304'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'GitHubResponseCache',
+      tableName: 'GitHubResponseCache',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['cacheKey']
+        },
+        {
+          fields: ['endpoint', 'lastUsedAt']
+        }
+      ]
+    }
+  );
+
+  return GitHubResponseCache;
+};
@@ -0,0 +1,89 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Issues extends Model {}
+
+  Issues.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      githubId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        unique: true
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      number: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      title: {
+        type: DataTypes.TEXT
+      },
+      state: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'open or closed'
+      },
+      comments: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      authorLogin: {
+        type: DataTypes.STRING
+      },
+      developerId: {
+        type: DataTypes.INTEGER,
+        references: {
+          model: 'Developers',
+          key: 'id'
+        },
+        comment: 'Null for bots and deleted accounts'
+      },
+      openedAt: {
+        type: DataTypes.DATE
+      },
+      closedAt: {
+        type: DataTypes.DATE
+      },
+      githubUpdatedAt: {
+        type: DataTypes.DATE,
+        comment: 'updated_at on GitHub, drives incremental collection'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Issues',
+      tableName: 'Issues',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['githubId']
+        },
+        {
+          fields: ['repositoryId', 'number']
+        },
+        {
+          fields: ['developerId']
+        },
+        {
+          fields: ['openedAt']
+        }
+      ]
+    }
+  );
+
+  return Issues;
+};
@@ -0,0 +1,30 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Languages extends Model {}
+
+  Languages.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Language as classified by GitHub (Linguist), e.g. Rust, TypeScript'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Languages',
+      tableName: 'Languages',
+      timestamps: true
+    }
+  );
+
+  return Languages;
+};
@@ -0,0 +1,91 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Releases extends Model {}
+
+  Releases.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      tagName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      source: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'release for GitHub releases, tag for tags without one'
+      },
+      githubId: {
+        type: DataTypes.BIGINT,
+        comment: 'Release id, null for plain tags'
+      },
+      name: {
+        type: DataTypes.TEXT
+      },
+      version: {
+        type: DataTypes.STRING,
+        comment: 'Semantic version parsed from the tag name, e.g. 1.2.0-rc.1'
+      },
+      isPrerelease: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'Marked as a prerelease on GitHub, or a prerelease version'
+      },
+      commitSha: {
+        type: DataTypes.STRING
+      },
+      authorLogin: {
+        type: DataTypes.STRING
+      },
+      developerId: {
+        type: DataTypes.INTEGER,
+        references: {
+          model: 'Developers',
+          key: 'id'
+        },
+        comment: 'Null for tags, bots and deleted accounts'
+      },
+      assetCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      publishedAt: {
+        type: DataTypes.DATE,
+        comment: 'Null for plain tags, which GitHub lists without a date'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Releases',
+      tableName: 'Releases',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['repositoryId', 'tagName']
+        },
+        {
+          fields: ['publishedAt']
+        },
+        {
+          fields: ['developerId']
+        }
+      ]
+    }
+  );
+
+  return Releases;
+};
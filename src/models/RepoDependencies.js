@@ -0,0 +1,81 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RepoDependencies extends Model {}
+
+  RepoDependencies.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      path: {
+        type: DataTypes.STRING(1024),
+        allowNull: false,
+        comment: 'Manifest or lockfile the version was read from, e.g. programs/escrow/Cargo.toml'
+      },
+      registry: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'cargo, npm or pypi'
+      },
+      source: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'manifest for declared requirements, lockfile for installed versions'
+      },
+      packageName: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      requirement: {
+        type: DataTypes.STRING,
+        comment: 'Requirement as declared in a manifest, e.g. ^0.30.1'
+      },
+      version: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Locked version, or the lowest version a manifest requirement allows'
+      },
+      firstSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      lastSeenAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      supersededAt: {
+        type: DataTypes.DATE,
+        comment: 'First scan the version was gone from the file, null while still in use'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'RepoDependencies',
+      tableName: 'RepoDependencies',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['repositoryId', 'path', 'packageName', 'version']
+        },
+        {
+          fields: ['packageName', 'firstSeenAt']
+        }
+      ]
+    }
+  );
+
+  return RepoDependencies;
+};
@@ -0,0 +1,46 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RepoEcosystems extends Model {}
+
+  RepoEcosystems.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      ecosystem: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Ecosystem whose discovery searches found the repository'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'RepoEcosystems',
+      tableName: 'RepoEcosystems',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['repositoryId', 'ecosystem']
+        },
+        {
+          fields: ['ecosystem']
+        }
+      ]
+    }
+  );
+
+  return RepoEcosystems;
+};
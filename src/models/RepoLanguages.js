@@ -0,0 +1,66 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RepoLanguages extends Model {}
+
+  RepoLanguages.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      languageId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Languages',
+          key: 'id'
+        }
+      },
+      bytes: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      share: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Fraction of the repository\'s code in this language, 0 to 1'
+      },
+      isPrimary: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'The language GitHub shows for the repository'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'RepoLanguages',
+      tableName: 'RepoLanguages',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['repositoryId', 'languageId']
+        },
+        {
+          fields: ['languageId', 'share']
+        }
+      ]
+    }
+  );
+
+  return RepoLanguages;
+};
@@ -0,0 +1,58 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RepoNameHistory extends Model {}
+
+  RepoNameHistory.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      owner: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Owner before the rename or transfer'
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Name before the rename or transfer'
+      },
+      url: {
+        type: DataTypes.STRING
+      },
+      renamedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the new name was noticed'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'RepoNameHistory',
+      tableName: 'RepoNameHistory',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['repositoryId']
+        },
+        {
+          fields: ['owner', 'name']
+        }
+      ]
+    }
+  );
+
+  return RepoNameHistory;
+};
@@ -0,0 +1,70 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RepoSnapshots extends Model {}
+
+  RepoSnapshots.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      capturedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'When the metrics were read from GitHub'
+      },
+      stars: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      forks: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      watchers: {
+        type: DataTypes.INTEGER,
+        comment: 'Users watching the repository, not the legacy watchers_count (stars)'
+      },
+      openIssues: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        comment: 'Open issues and pull requests'
+      },
+      size: {
+        type: DataTypes.INTEGER,
+        comment: 'Repository size in KB'
+      },
+      pushedAt: {
+        type: DataTypes.DATE
+      }
+    },
+    {
+      sequelize,
+      modelName: 'RepoSnapshots',
+      tableName: 'RepoSnapshots',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['repositoryId', 'capturedAt']
+        },
+        {
+          fields: ['capturedAt']
+        }
+      ]
+    }
+  );
+
+  return RepoSnapshots;
+};
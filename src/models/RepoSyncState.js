@@ -0,0 +1,48 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RepoSyncState extends Model {}
+
+  RepoSyncState.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      resource: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Collected resource, e.g. issues or pulls'
+      },
+      syncedAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Start of the last complete sync, the next one asks for changes since then'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'RepoSyncState',
+      tableName: 'RepoSyncState',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['repositoryId', 'resource']
+        }
+      ]
+    }
+  );
+
+  return RepoSyncState;
+};
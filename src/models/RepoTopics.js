@@ -0,0 +1,49 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class RepoTopics extends Model {}
+
+  RepoTopics.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      topicId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'Topics',
+          key: 'id'
+        }
+      }
+    },
+    {
+      sequelize,
+      modelName: 'RepoTopics',
+      tableName: 'RepoTopics',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['repositoryId', 'topicId']
+        },
+        {
+          fields: ['topicId']
+        }
+      ]
+    }
+  );
+
+  return RepoTopics;
+};
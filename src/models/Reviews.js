@@ -0,0 +1,79 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Reviews extends Model {}
+
+  Reviews.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      githubId: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        unique: true
+      },
+      pullRequestId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'PullRequests',
+          key: 'id'
+        }
+      },
+      repositoryId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'SolanaGithubRepos',
+          key: 'id'
+        }
+      },
+      state: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'APPROVED, CHANGES_REQUESTED, COMMENTED or DISMISSED'
+      },
+      reviewerLogin: {
+        type: DataTypes.STRING
+      },
+      developerId: {
+        type: DataTypes.INTEGER,
+        references: {
+          model: 'Developers',
+          key: 'id'
+        },
+        comment: 'Null for bots and deleted accounts'
+      },
+      submittedAt: {
+        type: DataTypes.DATE
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Reviews',
+      tableName: 'Reviews',
+      timestamps: true,
+      indexes: [
+        {
+          unique: true,
+          fields: ['githubId']
+        },
+        {
+          fields: ['pullRequestId']
+        },
+        {
+          fields: ['repositoryId']
+        },
+        {
+          fields: ['developerId', 'submittedAt']
+        }
+      ]
+    }
+  );
+
+  return Reviews;
+};
@@ -0,0 +1,95 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SearchQueries extends Model {}
+
+  SearchQueries.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      ecosystem: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'solana',
+        comment: 'Ecosystem repositories found by this query are tagged with'
+      },
+      strategy: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'code for code search, repository for repository search'
+      },
+      filename: {
+        type: DataTypes.STRING,
+        comment: 'Code search filename qualifier, e.g. Cargo.toml'
+      },
+      extension: {
+        type: DataTypes.STRING,
+        comment: 'Code search extension qualifier, e.g. rs'
+      },
+      keyword: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Searched text, or the keywords of a repository search'
+      },
+      repoType: {
+        type: DataTypes.STRING,
+        comment: 'Type recorded in RepoTypes for repositories found by a code search'
+      },
+      enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Higher priorities are searched first'
+      },
+      notes: {
+        type: DataTypes.TEXT
+      },
+      runs: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Discovery runs that searched this query'
+      },
+      results: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Search results processed over all runs'
+      },
+      newRepositories: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Repositories saved that were not collected before'
+      },
+      lastRunAt: {
+        type: DataTypes.DATE
+      },
+      lastNewRepositoryAt: {
+        type: DataTypes.DATE
+      }
+    },
+    {
+      sequelize,
+      modelName: 'SearchQueries',
+      tableName: 'SearchQueries',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['ecosystem', 'strategy', 'enabled', 'priority']
+        }
+      ]
+    }
+  );
+
+  return SearchQueries;
+};
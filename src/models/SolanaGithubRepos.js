@@ -1,5 +1,7 @@
 const { Model } = require('sequelize');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 module.exports = (sequelize, DataTypes) => {
   class SolanaGithubRepos extends Model {}
 
@@ -35,12 +37,22 @@ module.exports = (sequelize, DataTypes) => {
       ecosystem: {
         type: DataTypes.STRING,
         allowNull: false,
-        defaultValue: 'solana'
+        defaultValue: 'solana',
+        comment: 'Ecosystem the repository was first found for, all of them are in RepoEcosystems'
       },
       isClosedSource: {
         type: DataTypes.BOOLEAN,
         defaultValue: false
       },
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'active',
+        comment: 'active, archived, private, deleted or blocked; only active and archived are collected'
+      },
+      statusChangedAt: {
+        type: DataTypes.DATE
+      },
       issuesAndPrs: {
         type: DataTypes.INTEGER,
         defaultValue: 0
@@ -48,6 +60,84 @@ module.exports = (sequelize, DataTypes) => {
       stars: {
         type: DataTypes.INTEGER,
         defaultValue: 0
+      },
+      forks: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      pushedAt: {
+        type: DataTypes.DATE,
+        comment: 'Last push to any branch, sets how often the metadata is refreshed'
+      },
+      lastVerifiedAt: {
+        type: DataTypes.DATE,
+        comment: 'Last time the metadata was checked against GitHub'
+      },
+      statsPendingSince: {
+        type: DataTypes.DATE,
+        comment: 'When GitHub first answered 202 for the repository statistics'
+      },
+      statsRetryAt: {
+        type: DataTypes.DATE,
+        comment: 'When to ask again for statistics that were still being computed'
+      },
+      statsAttempts: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      isFork: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false
+      },
+      parentRepoId: {
+        type: DataTypes.STRING,
+        comment: 'GitHub id of the repository this one was forked from'
+      },
+      parentFullName: {
+        type: DataTypes.STRING
+      },
+      sourceRepoId: {
+        type: DataTypes.STRING,
+        comment: 'GitHub id of the root of the fork network'
+      },
+      sourceFullName: {
+        type: DataTypes.STRING
+      },
+      forkAheadBy: {
+        type: DataTypes.INTEGER,
+        comment: 'Commits on the fork that its parent does not have, null if not compared'
+      },
+      isTemplate: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        comment: 'The repository is a template others can be generated from'
+      },
+      templateFullName: {
+        type: DataTypes.STRING,
+        comment: 'Template the repository was generated from'
+      },
+      lastReleaseAt: {
+        type: DataTypes.DATE,
+        comment: 'Publication date of the newest GitHub release'
+      },
+      latestVersion: {
+        type: DataTypes.STRING,
+        comment: 'Version of the newest release, or the highest tagged version'
+      },
+      releaseCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      releaseCadenceDays: {
+        type: DataTypes.FLOAT,
+        comment: 'Median days between the last 10 releases'
+      },
+      daysSinceLastRelease: {
+        type: DataTypes.VIRTUAL,
+        get() {
+          const lastReleaseAt = this.getDataValue('lastReleaseAt');
+          return lastReleaseAt ? Math.floor((Date.now() - new Date(lastReleaseAt).getTime()) / DAY_MS) : null;
+        }
       }
     },
     {
@@ -67,6 +157,15 @@ module.exports = (sequelize, DataTypes) => {
         },
         {
           fields: ['stars']
+        },
+        {
+          fields: ['parentRepoId']
+        },
+        {
+          fields: ['status']
+        },
+        {
+          fields: ['lastVerifiedAt']
         }
       ]
     }
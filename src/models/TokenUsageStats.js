@@ -0,0 +1,73 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TokenUsageStats extends Model {}
+
+  TokenUsageStats.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      tokenKey: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Stable, non-secret token identifier (hash of a PAT or app/installation id)'
+      },
+      tokenLabel: {
+        type: DataTypes.STRING
+      },
+      apiType: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'GitHub rate limit resource: core, search, code_search, graphql'
+      },
+      hour: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Start of the hour the usage was recorded in'
+      },
+      requests: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      errors: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0
+      },
+      rateLimitHits: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Responses rejected with 403 or 429 for rate limiting'
+      },
+      rateLimitWaits: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        comment: 'Requests that had to wait for a quota reset'
+      },
+      rateLimitWaitMs: {
+        type: DataTypes.BIGINT,
+        defaultValue: 0
+      }
+    },
+    {
+      sequelize,
+      modelName: 'TokenUsageStats',
+      tableName: 'TokenUsageStats',
+      timestamps: true,
+      indexes: [
+        {
+          fields: ['hour']
+        },
+        {
+          unique: true,
+          fields: ['tokenKey', 'apiType', 'hour']
+        }
+      ]
+    }
+  );
+
+  return TokenUsageStats;
+};
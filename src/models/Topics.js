@@ -0,0 +1,30 @@
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Topics extends Model {}
+
+  Topics.init(
+    {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'GitHub topic, always lowercase, e.g. solana, anchor'
+      }
+    },
+    {
+      sequelize,
+      modelName: 'Topics',
+      tableName: 'Topics',
+      timestamps: true
+    }
+  );
+
+  return Topics;
+};
@@ -21,6 +21,27 @@ const SolanaGithubRepos = require('./SolanaGithubRepos')(sequelize, Sequelize.Da
 const Developers = require('./Developers')(sequelize, Sequelize.DataTypes);
 const Activities = require('./Activities')(sequelize, Sequelize.DataTypes);
 const RepoTypes = require('./RepoTypes')(sequelize, Sequelize.DataTypes);
+const TokenUsageStats = require('./TokenUsageStats')(sequelize, Sequelize.DataTypes);
+const GitHubResponseCache = require('./GitHubResponseCache')(sequelize, Sequelize.DataTypes);
+const PullRequests = require('./PullRequests')(sequelize, Sequelize.DataTypes);
+const Issues = require('./Issues')(sequelize, Sequelize.DataTypes);
+const Reviews = require('./Reviews')(sequelize, Sequelize.DataTypes);
+const RepoSyncState = require('./RepoSyncState')(sequelize, Sequelize.DataTypes);
+const Releases = require('./Releases')(sequelize, Sequelize.DataTypes);
+const RepoNameHistory = require('./RepoNameHistory')(sequelize, Sequelize.DataTypes);
+const RepoDependencies = require('./RepoDependencies')(sequelize, Sequelize.DataTypes);
+const Languages = require('./Languages')(sequelize, Sequelize.DataTypes);
+const RepoLanguages = require('./RepoLanguages')(sequelize, Sequelize.DataTypes);
+const Topics = require('./Topics')(sequelize, Sequelize.DataTypes);
+const RepoTopics = require('./RepoTopics')(sequelize, Sequelize.DataTypes);
+const Commits = require('./Commits')(sequelize, Sequelize.DataTypes);
+const CommitCoAuthors = require('./CommitCoAuthors')(sequelize, Sequelize.DataTypes);
+const DeveloperEmails = require('./DeveloperEmails')(sequelize, Sequelize.DataTypes);
+const DiscoveryCursors = require('./DiscoveryCursors')(sequelize, Sequelize.DataTypes);
+const CodeSearchPartitions = require('./CodeSearchPartitions')(sequelize, Sequelize.DataTypes);
+const SearchQueries = require('./SearchQueries')(sequelize, Sequelize.DataTypes);
+const RepoSnapshots = require('./RepoSnapshots')(sequelize, Sequelize.DataTypes);
+const RepoEcosystems = require('./RepoEcosystems')(sequelize, Sequelize.DataTypes);
 
 // Setup associations
 SolanaGithubRepos.hasMany(RepoTypes, {
@@ -57,13 +78,289 @@ RepoTypes.belongsTo(SolanaGithubRepos, {
   onDelete: 'CASCADE'
 });
 
+SolanaGithubRepos.hasMany(PullRequests, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(Issues, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(Reviews, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(RepoSyncState, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(Releases, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+Releases.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(RepoNameHistory, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+RepoNameHistory.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(RepoSnapshots, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+RepoSnapshots.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(RepoEcosystems, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+RepoEcosystems.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(RepoDependencies, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+RepoDependencies.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+PullRequests.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+Issues.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+// Authors and reviewers outlive their developer rows, only the link is dropped
+Developers.hasMany(PullRequests, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+Developers.hasMany(Issues, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+Developers.hasMany(Reviews, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+PullRequests.belongsTo(Developers, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+Issues.belongsTo(Developers, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+Reviews.belongsTo(Developers, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+Developers.hasMany(Releases, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+Releases.belongsTo(Developers, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+SolanaGithubRepos.hasMany(Commits, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+Commits.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(CommitCoAuthors, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+CommitCoAuthors.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+Commits.hasMany(CommitCoAuthors, {
+  foreignKey: 'commitId',
+  onDelete: 'CASCADE'
+});
+
+CommitCoAuthors.belongsTo(Commits, {
+  foreignKey: 'commitId',
+  onDelete: 'CASCADE'
+});
+
+Developers.hasMany(Commits, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+Commits.belongsTo(Developers, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+Developers.hasMany(CommitCoAuthors, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+CommitCoAuthors.belongsTo(Developers, {
+  foreignKey: 'developerId',
+  onDelete: 'SET NULL'
+});
+
+Developers.hasMany(DeveloperEmails, {
+  foreignKey: 'developerId',
+  onDelete: 'CASCADE'
+});
+
+DeveloperEmails.belongsTo(Developers, {
+  foreignKey: 'developerId',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(RepoLanguages, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+RepoLanguages.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+Languages.hasMany(RepoLanguages, {
+  foreignKey: 'languageId',
+  onDelete: 'CASCADE'
+});
+
+RepoLanguages.belongsTo(Languages, {
+  foreignKey: 'languageId',
+  onDelete: 'CASCADE'
+});
+
+SolanaGithubRepos.hasMany(RepoTopics, {
+  foreignKey: 'repositoryId',
+  sourceKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+RepoTopics.belongsTo(SolanaGithubRepos, {
+  foreignKey: 'repositoryId',
+  targetKey: 'id',
+  onDelete: 'CASCADE'
+});
+
+Topics.hasMany(RepoTopics, {
+  foreignKey: 'topicId',
+  onDelete: 'CASCADE'
+});
+
+RepoTopics.belongsTo(Topics, {
+  foreignKey: 'topicId',
+  onDelete: 'CASCADE'
+});
+
+PullRequests.hasMany(Reviews, {
+  foreignKey: 'pullRequestId',
+  onDelete: 'CASCADE'
+});
+
+Reviews.belongsTo(PullRequests, {
+  foreignKey: 'pullRequestId',
+  onDelete: 'CASCADE'
+});
+
 const db = {
   sequelize,
   Sequelize,
   SolanaGithubRepos,
   Developers,
   Activities,
-  RepoTypes
+  RepoTypes,
+  TokenUsageStats,
+  GitHubResponseCache,
+  PullRequests,
+  Issues,
+  Reviews,
+  RepoSyncState,
+  Releases,
+  RepoNameHistory,
+  RepoDependencies,
+  Languages,
+  RepoLanguages,
+  Topics,
+  RepoTopics,
+  Commits,
+  CommitCoAuthors,
+  DeveloperEmails,
+  DiscoveryCursors,
+  CodeSearchPartitions,
+  SearchQueries,
+  RepoSnapshots,
+  RepoEcosystems
 };
 
 module.exports = db;
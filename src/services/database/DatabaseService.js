@@ -2,6 +2,74 @@ const db = require('../../models');
 const logger = require('../../utils/logger');
 const { Op } = require('sequelize');
 
+// Repository statuses activity is still collected for; private, deleted
+// and blocked repositories are kept for their history but not fetched
+const COLLECTED_STATUSES = ['active', 'archived'];
+
+/**
+ * Conditions keeping the repositories a fork policy collects activity for:
+ * exclude drops every fork, diverged keeps forks ahead of their parent
+ */
+function forkPolicyWhere(forkPolicy) {
+  if (forkPolicy === 'exclude') {
+    return { isFork: false };
+  }
+  if (forkPolicy === 'diverged') {
+    return { [Op.or]: [{ isFork: false }, { forkAheadBy: { [Op.gt]: 0 } }] };
+  }
+  return {};
+}
+
+/**
+ * Condition keeping the repositories tagged with any of these ecosystems
+ */
+function ecosystemsCondition(ecosystems) {
+  const names = ecosystems.map(ecosystem => db.sequelize.escape(ecosystem)).join(', ');
+
+  return db.sequelize.literal(`EXISTS (
+    SELECT 1 FROM "RepoEcosystems" re
+    WHERE re."repositoryId" = "SolanaGithubRepos".id AND re.ecosystem IN (${names})
+  )`);
+}
+
+/**
+ * forkPolicyWhere for raw queries on the repositories table alias `r`
+ */
+function forkPolicySql(forkPolicy) {
+  if (forkPolicy === 'exclude') {
+    return 'AND r."isFork" = false';
+  }
+  if (forkPolicy === 'diverged') {
+    return 'AND (r."isFork" = false OR r."forkAheadBy" > 0)';
+  }
+  return '';
+}
+
+/**
+ * Ids of the named rows of a lookup table (Languages, Topics), creating
+ * the names not seen before
+ */
+async function ensureNames(model, names, transaction) {
+  if (names.length === 0) {
+    return new Map();
+  }
+
+  await model.bulkCreate(names.map(name => ({ name })), { ignoreDuplicates: true, transaction });
+  const rows = await model.findAll({ where: { name: names }, attributes: ['id', 'name'], transaction });
+
+  return new Map(rows.map(row => [row.name, row.id]));
+}
+
+// Version lines the adoption report groups by, as SQL on RepoDependencies `d`
+const VERSION_LINES = {
+  major: `split_part(d.version, '.', 1)`,
+  minor: `split_part(d.version, '.', 1) || '.' || split_part(d.version, '.', 2)`,
+  patch: 'd.version'
+};
+
+// Repository metrics growth is measured on, as RepoSnapshots columns
+const SNAPSHOT_METRICS = ['stars', 'forks', 'watchers', 'openIssues', 'size'];
+
 class DatabaseService {
   constructor() {
     this.models = db;
@@ -111,12 +179,12 @@ class DatabaseService {
   }
 
   /**
-   * Get repositories for processing (paginated)
+   * Get repositories of any of the given ecosystems for processing (paginated)
    */
-  async getRepositoriesForProcessing({ ecosystem, limit = 100, offset = 0, orderBy = 'createdAt' }) {
+  async getRepositoriesForProcessing({ ecosystems, limit = 100, offset = 0, orderBy = 'createdAt' }) {
     try {
       return await db.SolanaGithubRepos.findAll({
-        where: { ecosystem },
+        where: ecosystemsCondition(ecosystems),
         order: [[orderBy, 'DESC']],
         limit,
         offset
@@ -124,28 +192,339 @@ class DatabaseService {
     } catch (error) {
       logger.error({
         error: error.message,
-        ecosystem
+        ecosystems
       }, 'Failed to get repositories for processing');
       throw error;
     }
   }
 
   /**
-   * Mark repository as closed source
+   * Iterate over the repositories of any of the given ecosystems in batches,
+   * newest first. Batches are keyed on id, so repositories added or changed
+   * meanwhile never shift the position, and `afterId` resumes after a repository.
+   */
+  async *iterateRepositoriesForProcessing({ ecosystems, batchSize = 100, afterId = null, forkPolicy = 'include' }) {
+    let lastId = afterId;
+
+    while (true) {
+      const where = {
+        status: COLLECTED_STATUSES,
+        ...forkPolicyWhere(forkPolicy),
+        [Op.and]: [ecosystemsCondition(ecosystems)]
+      };
+      if (lastId !== null) {
+        where.id = { [Op.lt]: lastId };
+      }
+
+      let repos;
+      try {
+        repos = await db.SolanaGithubRepos.findAll({
+          where,
+          order: [['id', 'DESC']],
+          limit: batchSize
+        });
+      } catch (error) {
+        logger.error({
+          error: error.message,
+          ecosystems,
+          lastId
+        }, 'Failed to get repositories for processing');
+        throw error;
+      }
+
+      if (repos.length === 0) {
+        return;
+      }
+
+      lastId = repos[repos.length - 1].id;
+      yield repos;
+    }
+  }
+
+  /**
+   * Set the status of a repository: active, archived, private, deleted or
+   * blocked. Private repositories are also flagged as closed source.
+   */
+  async setRepositoryStatus(repoId, status) {
+    try {
+      const repo = await db.SolanaGithubRepos.findOne({ where: { repoId } });
+      if (!repo || repo.status === status) {
+        return;
+      }
+
+      const from = repo.status;
+      await repo.update({
+        status,
+        statusChangedAt: new Date(),
+        isClosedSource: status === 'private'
+      });
+
+      logger.info({ repoId, from, status }, 'Repository status changed');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repoId,
+        status
+      }, 'Failed to set repository status');
+      throw error;
+    }
+  }
+
+  /**
+   * Move a renamed or transferred repository to its new owner and name,
+   * keeping the previous ones in its name history
+   */
+  async renameRepository(repoId, { owner, name, url }) {
+    try {
+      return await db.sequelize.transaction(async (transaction) => {
+        const repo = await db.SolanaGithubRepos.findOne({ where: { repoId }, transaction });
+        if (!repo) {
+          return null;
+        }
+
+        await db.RepoNameHistory.create({
+          repositoryId: repo.id,
+          owner: repo.owner,
+          name: repo.name,
+          url: repo.url,
+          renamedAt: new Date()
+        }, { transaction });
+
+        await repo.update({ owner, name, url }, { transaction });
+
+        return repo;
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repoId,
+        owner,
+        name
+      }, 'Failed to rename repository');
+      throw error;
+    }
+  }
+
+  /**
+   * Repositories whose metadata is due for a refresh, never verified and
+   * longest unverified first. How long metadata stays fresh depends on how
+   * recently the repository was pushed to.
+   */
+  async getRepositoriesDueForRefresh({ limit, activeDays, activeHours, recentDays, recentHours, dormantHours }) {
+    try {
+      return await db.sequelize.query(`
+        SELECT r.*
+        FROM "SolanaGithubRepos" r
+        WHERE r.status IN (:statuses)
+          AND (
+            r."lastVerifiedAt" IS NULL
+            OR r."lastVerifiedAt" < NOW() - make_interval(hours => CASE
+              WHEN r."pushedAt" >= NOW() - make_interval(days => :activeDays) THEN :activeHours
+              WHEN r."pushedAt" >= NOW() - make_interval(days => :recentDays) THEN :recentHours
+              ELSE :dormantHours
+            END)
+          )
+        ORDER BY r."lastVerifiedAt" ASC NULLS FIRST, r.id ASC
+        LIMIT :limit
+      `, {
+        replacements: {
+          statuses: COLLECTED_STATUSES,
+          activeDays,
+          activeHours,
+          recentDays,
+          recentHours,
+          dormantHours,
+          limit
+        },
+        type: db.sequelize.QueryTypes.SELECT
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message
+      }, 'Failed to get repositories due for refresh');
+      throw error;
+    }
+  }
+
+  /**
+   * Save the metadata of a repository as just verified against GitHub
+   */
+  async updateRepositoryMetadata(repoId, metadata, verifiedAt) {
+    try {
+      await db.SolanaGithubRepos.update({
+        ...metadata,
+        lastVerifiedAt: verifiedAt
+      }, {
+        where: { repoId }
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repoId
+      }, 'Failed to update repository metadata');
+      throw error;
+    }
+  }
+
+  /**
+   * Record repository metrics as read at one point in time
+   */
+  async bulkCreateRepoSnapshots(snapshotsData) {
+    try {
+      return await db.RepoSnapshots.bulkCreate(snapshotsData, {
+        ignoreDuplicates: true
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: snapshotsData.length
+      }, 'Failed to create repository snapshots');
+      throw error;
+    }
+  }
+
+  /**
+   * Metric snapshots of a repository between two times, oldest first
+   */
+  async getRepositorySnapshots(repositoryId, { from, to = new Date() } = {}) {
+    try {
+      return await db.RepoSnapshots.findAll({
+        where: {
+          repositoryId,
+          capturedAt: from ? { [Op.between]: [from, to] } : { [Op.lte]: to }
+        },
+        attributes: ['capturedAt', ...SNAPSHOT_METRICS, 'pushedAt'],
+        order: [['capturedAt', 'ASC']]
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repositoryId
+      }, 'Failed to get repository snapshots');
+      throw error;
+    }
+  }
+
+  /**
+   * Growth of a metric per repository between `from` and `to`, largest
+   * first, by absolute growth or by `rate` (growth relative to the start).
+   * Each repository is measured from its last snapshot at or before `from`,
+   * or its first one after it for repositories first seen within the
+   * window, to its last snapshot at or before `to`. Repositories starting
+   * below `minStart` are left out, which keeps tiny ones off rate rankings.
+   */
+  async getRepositoryGrowth({ from, to = new Date(), metric = 'stars', orderBy = 'growth', minStart = 0, limit = 20 }) {
+    if (!SNAPSHOT_METRICS.includes(metric)) {
+      throw new Error(`Unknown metric ${metric}, expected one of ${SNAPSHOT_METRICS.join(', ')}`);
+    }
+
+    try {
+      return await db.sequelize.query(`
+        SELECT r.id, r."repoId", r.owner, r.name, r.url, r.status,
+          first."capturedAt" AS "startAt", first.value AS "startValue",
+          last."capturedAt" AS "endAt", last.value AS "endValue",
+          last.value - first.value AS growth,
+          (last.value - first.value)::float / NULLIF(first.value, 0) AS rate
+        FROM "SolanaGithubRepos" r
+        CROSS JOIN LATERAL (
+          SELECT s."capturedAt", s."${metric}" AS value
+          FROM "RepoSnapshots" s
+          WHERE s."repositoryId" = r.id AND s."capturedAt" <= :to AND s."${metric}" IS NOT NULL
+          ORDER BY s."capturedAt" DESC
+          LIMIT 1
+        ) last
+        CROSS JOIN LATERAL (
+          SELECT s."capturedAt", s."${metric}" AS value
+          FROM "RepoSnapshots" s
+          WHERE s."repositoryId" = r.id AND s."capturedAt" <= :to AND s."${metric}" IS NOT NULL
+          ORDER BY s."capturedAt" <= :from DESC,
+            CASE WHEN s."capturedAt" <= :from THEN s."capturedAt" END DESC NULLS LAST,
+            s."capturedAt" ASC
+          LIMIT 1
+        ) first
+        WHERE last."capturedAt" > first."capturedAt"
+          AND first.value >= :minStart
+        ORDER BY ${orderBy === 'rate' ? 'rate DESC NULLS LAST' : 'growth DESC'}, last.value DESC
+        LIMIT :limit
+      `, {
+        replacements: { from, to, minStart, limit },
+        type: db.sequelize.QueryTypes.SELECT
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        metric
+      }, 'Failed to get repository growth');
+      throw error;
+    }
+  }
+
+  /**
+   * Defer a repository whose statistics GitHub is still computing
    */
-  async markRepositoryClosedSource(repoId) {
+  async markRepositoryStatsPending(repoId, { pendingSince, retryAt, attempts }) {
     try {
       await db.SolanaGithubRepos.update(
-        { isClosedSource: true },
+        {
+          statsPendingSince: pendingSince,
+          statsRetryAt: retryAt,
+          statsAttempts: attempts
+        },
         { where: { repoId } }
       );
 
-      logger.debug({ repoId }, 'Repository marked as closed source');
+      logger.debug({ repoId, retryAt, attempts }, 'Repository statistics pending');
     } catch (error) {
       logger.error({
         error: error.message,
         repoId
-      }, 'Failed to mark repository as closed source');
+      }, 'Failed to mark repository statistics pending');
+      throw error;
+    }
+  }
+
+  /**
+   * Clear the pending statistics state once a repository was processed
+   */
+  async clearRepositoryStatsPending(repoId) {
+    try {
+      await db.SolanaGithubRepos.update(
+        {
+          statsPendingSince: null,
+          statsRetryAt: null,
+          statsAttempts: 0
+        },
+        { where: { repoId } }
+      );
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repoId
+      }, 'Failed to clear repository statistics pending');
+      throw error;
+    }
+  }
+
+  /**
+   * Get repositories whose deferred statistics are due to be fetched again
+   */
+  async getRepositoriesWithPendingStats({ ecosystems, limit = 100, forkPolicy = 'include' }) {
+    try {
+      return await db.SolanaGithubRepos.findAll({
+        where: {
+          statsRetryAt: { [Op.lte]: new Date() },
+          status: COLLECTED_STATUSES,
+          ...forkPolicyWhere(forkPolicy),
+          [Op.and]: [ecosystemsCondition(ecosystems)]
+        },
+        order: [['statsRetryAt', 'ASC']],
+        limit
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ecosystems
+      }, 'Failed to get repositories with pending statistics');
       throw error;
     }
   }
@@ -276,67 +655,1212 @@ class DatabaseService {
   }
 
   /**
-   * Get statistics
+   * Create developers for GitHub users seen as authors or reviewers, leaving
+   * existing profiles untouched. Returns developer ids by username.
    */
-  async getStats() {
+  async ensureDevelopers(developersData) {
+    const byUsername = new Map(developersData.map(developer => [developer.username, developer]));
+
+    if (byUsername.size === 0) {
+      return new Map();
+    }
+
     try {
-      const [repoCount, developerCount, activityCount] = await Promise.all([
-        db.SolanaGithubRepos.count(),
-        db.Developers.count(),
-        db.Activities.count()
-      ]);
+      await db.Developers.bulkCreate([...byUsername.values()], {
+        ignoreDuplicates: true
+      });
 
-      return {
-        repositories: repoCount,
-        developers: developerCount,
-        activities: activityCount
-      };
+      const developers = await db.Developers.findAll({
+        where: { username: [...byUsername.keys()] },
+        attributes: ['id', 'username']
+      });
+
+      return new Map(developers.map(developer => [developer.username, developer.id]));
     } catch (error) {
-      logger.error({ error: error.message }, 'Failed to get stats');
+      logger.error({
+        error: error.message,
+        count: byUsername.size
+      }, 'Failed to ensure developers');
       throw error;
     }
   }
 
   /**
-   * Check if repository exists
+   * Create or update pull requests, matched on their GitHub id
    */
-  async repositoryExists(repoId) {
+  async bulkUpsertPullRequests(pullRequestsData) {
     try {
-      const count = await db.SolanaGithubRepos.count({
-        where: { repoId }
+      const result = await db.PullRequests.bulkCreate(pullRequestsData, {
+        conflictAttributes: ['githubId'],
+        updateOnDuplicate: [
+          'title', 'state', 'isDraft', 'authorLogin', 'developerId',
+          'closedAt', 'mergedAt', 'githubUpdatedAt', 'updatedAt'
+        ],
+        returning: true
       });
-      return count > 0;
+
+      logger.debug({
+        count: result.length
+      }, 'Pull requests upserted');
+
+      return result;
     } catch (error) {
       logger.error({
         error: error.message,
-        repoId
-      }, 'Failed to check if repository exists');
+        count: pullRequestsData.length
+      }, 'Failed to upsert pull requests');
       throw error;
     }
   }
 
   /**
-   * Get repositories without activity data
+   * Create or update issues, matched on their GitHub id
    */
-  async getRepositoriesWithoutActivities(limit = 100) {
+  async bulkUpsertIssues(issuesData) {
     try {
-      const repos = await db.sequelize.query(`
-        SELECT r.*
-        FROM "SolanaGithubRepos" r
-        LEFT JOIN "Activities" a ON r.id = a."repositoryId"
-        WHERE a.id IS NULL AND r."isClosedSource" = false
-        ORDER BY r."createdAt" DESC
-        LIMIT :limit
-      `, {
-        replacements: { limit },
-        type: db.sequelize.QueryTypes.SELECT
+      const result = await db.Issues.bulkCreate(issuesData, {
+        conflictAttributes: ['githubId'],
+        updateOnDuplicate: [
+          'title', 'state', 'comments', 'authorLogin', 'developerId',
+          'closedAt', 'githubUpdatedAt', 'updatedAt'
+        ],
+        returning: true
       });
 
-      return repos;
+      logger.debug({
+        count: result.length
+      }, 'Issues upserted');
+
+      return result;
     } catch (error) {
       logger.error({
-        error: error.message
-      }, 'Failed to get repositories without activities');
+        error: error.message,
+        count: issuesData.length
+      }, 'Failed to upsert issues');
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update pull request reviews, matched on their GitHub id
+   */
+  async bulkUpsertReviews(reviewsData) {
+    try {
+      const result = await db.Reviews.bulkCreate(reviewsData, {
+        conflictAttributes: ['githubId'],
+        updateOnDuplicate: ['state', 'reviewerLogin', 'developerId', 'submittedAt', 'updatedAt'],
+        returning: true
+      });
+
+      logger.debug({
+        count: result.length
+      }, 'Reviews upserted');
+
+      return result;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: reviewsData.length
+      }, 'Failed to upsert reviews');
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update commits, matched on repository and sha
+   */
+  async bulkUpsertCommits(commitsData) {
+    try {
+      const result = await db.Commits.bulkCreate(commitsData, {
+        conflictAttributes: ['repositoryId', 'sha'],
+        updateOnDuplicate: ['authorLogin', 'developerId', 'committerLogin', 'updatedAt'],
+        returning: true
+      });
+
+      logger.debug({
+        count: result.length
+      }, 'Commits upserted');
+
+      return result;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: commitsData.length
+      }, 'Failed to upsert commits');
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update commit co-authors, matched on commit and email
+   */
+  async bulkUpsertCommitCoAuthors(coAuthorsData) {
+    try {
+      const result = await db.CommitCoAuthors.bulkCreate(coAuthorsData, {
+        conflictAttributes: ['commitId', 'email'],
+        updateOnDuplicate: ['name', 'developerId', 'updatedAt']
+      });
+
+      logger.debug({
+        count: result.length
+      }, 'Commit co-authors upserted');
+
+      return result;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: coAuthorsData.length
+      }, 'Failed to upsert commit co-authors');
+      throw error;
+    }
+  }
+
+  /**
+   * Developer ids by email, for the emails already linked to a developer
+   */
+  async getDeveloperIdsByEmail(emails) {
+    if (emails.length === 0) {
+      return new Map();
+    }
+
+    try {
+      const links = await db.DeveloperEmails.findAll({
+        where: { email: emails },
+        attributes: ['email', 'developerId']
+      });
+
+      return new Map(links.map(link => [link.email, link.developerId]));
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: emails.length
+      }, 'Failed to get developers by email');
+      throw error;
+    }
+  }
+
+  /**
+   * Link commit emails to developers. An email keeps the first developer it
+   * was linked to. Commits and co-authorships saved earlier with a newly
+   * linked email are credited to its developer; returns how many were.
+   */
+  async linkDeveloperEmails(links) {
+    if (links.length === 0) {
+      return 0;
+    }
+
+    try {
+      await db.DeveloperEmails.bulkCreate(links, {
+        ignoreDuplicates: true
+      });
+
+      const emails = [...new Set(links.map(link => link.email))];
+      const credit = async table => (await db.sequelize.query(`
+        UPDATE "${table}" t
+        SET "developerId" = de."developerId", "updatedAt" = NOW()
+        FROM "DeveloperEmails" de
+        WHERE de.email IN (:emails)
+          AND t."developerId" IS NULL
+          AND t.${table === 'Commits' ? '"authorEmail"' : 'email'} = de.email
+      `, {
+        replacements: { emails },
+        type: db.sequelize.QueryTypes.UPDATE
+      }))[1];
+
+      const credited = await credit('Commits') + await credit('CommitCoAuthors');
+
+      if (credited > 0) {
+        logger.debug({ emails: emails.length, credited }, 'Earlier commits credited to newly linked emails');
+      }
+
+      return credited;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: links.length
+      }, 'Failed to link developer emails');
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update GitHub releases, matched on repository and tag
+   */
+  async bulkUpsertReleases(releasesData) {
+    try {
+      const result = await db.Releases.bulkCreate(releasesData, {
+        conflictAttributes: ['repositoryId', 'tagName'],
+        updateOnDuplicate: [
+          'source', 'githubId', 'name', 'version', 'isPrerelease', 'commitSha',
+          'authorLogin', 'developerId', 'assetCount', 'publishedAt', 'updatedAt'
+        ],
+        returning: true
+      });
+
+      logger.debug({
+        count: result.length
+      }, 'Releases upserted');
+
+      return result;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: releasesData.length
+      }, 'Failed to upsert releases');
+      throw error;
+    }
+  }
+
+  /**
+   * Bulk create plain tags, leaving tags already saved as releases alone
+   */
+  async bulkCreateReleaseTags(tagsData) {
+    try {
+      const result = await db.Releases.bulkCreate(tagsData, {
+        ignoreDuplicates: true
+      });
+
+      logger.debug({
+        count: result.length
+      }, 'Release tags bulk created');
+
+      return result;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: tagsData.length
+      }, 'Failed to bulk create release tags');
+      throw error;
+    }
+  }
+
+  /**
+   * Update the release fields derived from a repository's releases and tags
+   */
+  async updateRepositoryReleaseStats(repoId, { lastReleaseAt, latestVersion, releaseCount, releaseCadenceDays }) {
+    try {
+      await db.SolanaGithubRepos.update({
+        lastReleaseAt,
+        latestVersion,
+        releaseCount,
+        releaseCadenceDays
+      }, {
+        where: { repoId }
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repoId
+      }, 'Failed to update repository release stats');
+      throw error;
+    }
+  }
+
+  /**
+   * Get the time a repository resource was last fully synced, or null
+   */
+  async getSyncState(repositoryId, resource) {
+    try {
+      const state = await db.RepoSyncState.findOne({
+        where: { repositoryId, resource }
+      });
+
+      return state ? state.syncedAt : null;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repositoryId,
+        resource
+      }, 'Failed to get sync state');
+      throw error;
+    }
+  }
+
+  /**
+   * Record a complete sync of a repository resource
+   */
+  async setSyncState(repositoryId, resource, syncedAt) {
+    try {
+      await db.RepoSyncState.upsert({
+        repositoryId,
+        resource,
+        syncedAt
+      }, {
+        conflictFields: ['repositoryId', 'resource']
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repositoryId,
+        resource
+      }, 'Failed to set sync state');
+      throw error;
+    }
+  }
+
+  /**
+   * Fill the search query catalogue with the default queries of an
+   * ecosystem, unless it already holds any of that ecosystem
+   */
+  async seedSearchQueries(ecosystem, queriesData) {
+    try {
+      if (await db.SearchQueries.count({ where: { ecosystem } }) > 0) {
+        return 0;
+      }
+
+      await db.SearchQueries.bulkCreate(queriesData.map(queryData => ({ ...queryData, ecosystem })));
+      logger.info({ ecosystem, count: queriesData.length }, 'Search queries seeded');
+
+      return queriesData.length;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ecosystem
+      }, 'Failed to seed search queries');
+      throw error;
+    }
+  }
+
+  /**
+   * Search queries, highest priority first, optionally of one ecosystem or
+   * strategy, or only enabled ones
+   */
+  async getSearchQueries({ ecosystem, strategy, enabled } = {}) {
+    const where = {};
+    if (ecosystem) where.ecosystem = ecosystem;
+    if (strategy) where.strategy = strategy;
+    if (enabled !== undefined) where.enabled = enabled;
+
+    try {
+      return await db.SearchQueries.findAll({
+        where,
+        order: [['priority', 'DESC'], ['id', 'ASC']]
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ecosystem,
+        strategy
+      }, 'Failed to get search queries');
+      throw error;
+    }
+  }
+
+  /**
+   * Get a search query by id, or null
+   */
+  async getSearchQuery(id) {
+    try {
+      return await db.SearchQueries.findByPk(id);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        id
+      }, 'Failed to get search query');
+      throw error;
+    }
+  }
+
+  /**
+   * Search query of the same ecosystem with the same strategy and search
+   * terms as the given fields, other than the query itself, or null. Other
+   * ecosystems may run the same search, each tagging what it finds.
+   */
+  async findDuplicateSearchQuery({ ecosystem, strategy, filename, extension, keyword }, excludeId = null) {
+    try {
+      return await db.SearchQueries.findOne({
+        where: {
+          ecosystem,
+          strategy,
+          filename: filename || null,
+          extension: extension || null,
+          keyword,
+          ...(excludeId !== null ? { id: { [Op.ne]: excludeId } } : {})
+        }
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ecosystem,
+        strategy,
+        keyword
+      }, 'Failed to find duplicate search query');
+      throw error;
+    }
+  }
+
+  /**
+   * Create a search query
+   */
+  async createSearchQuery(queryData) {
+    try {
+      return await db.SearchQueries.create(queryData);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        keyword: queryData.keyword
+      }, 'Failed to create search query');
+      throw error;
+    }
+  }
+
+  /**
+   * Update a search query, returning it, or null when it does not exist
+   */
+  async updateSearchQuery(id, fields) {
+    try {
+      const query = await db.SearchQueries.findByPk(id);
+      if (!query) {
+        return null;
+      }
+
+      return await query.update(fields);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        id
+      }, 'Failed to update search query');
+      throw error;
+    }
+  }
+
+  /**
+   * Add the results of one discovery run to a search query's yield
+   */
+  async recordSearchQueryYield(id, { results, newRepositories, ranAt }) {
+    try {
+      await db.SearchQueries.increment({ runs: 1, results, newRepositories }, {
+        where: { id }
+      });
+
+      await db.SearchQueries.update({
+        lastRunAt: ranAt,
+        ...(newRepositories > 0 ? { lastNewRepositoryAt: ranAt } : {})
+      }, {
+        where: { id }
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        id
+      }, 'Failed to record search query yield');
+      throw error;
+    }
+  }
+
+  /**
+   * Discovery cursors of an ecosystem's searches with one strategy, keyed by
+   * query and size range
+   */
+  async getDiscoveryCursors(ecosystem, strategy) {
+    try {
+      const cursors = await db.DiscoveryCursors.findAll({
+        where: { ecosystem, strategy }
+      });
+
+      return new Map(cursors.map(cursor => [`${cursor.query}|${cursor.sizeRange}`, cursor]));
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ecosystem,
+        strategy
+      }, 'Failed to get discovery cursors');
+      throw error;
+    }
+  }
+
+  /**
+   * Record how far an ecosystem's search of a discovery strategy has got
+   */
+  async saveDiscoveryCursor(cursorData) {
+    try {
+      await db.DiscoveryCursors.upsert(cursorData, {
+        conflictFields: ['ecosystem', 'strategy', 'query', 'sizeRange']
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ecosystem: cursorData.ecosystem,
+        strategy: cursorData.strategy,
+        query: cursorData.query,
+        sizeRange: cursorData.sizeRange
+      }, 'Failed to save discovery cursor');
+      throw error;
+    }
+  }
+
+  /**
+   * Learned size ranges of each code search query, keyed by query
+   */
+  async getCodeSearchPartitions() {
+    try {
+      const partitions = await db.CodeSearchPartitions.findAll();
+
+      return new Map(partitions.map(partition => [partition.query, partition.ranges]));
+    } catch (error) {
+      logger.error({
+        error: error.message
+      }, 'Failed to get code search partitions');
+      throw error;
+    }
+  }
+
+  /**
+   * Save the size ranges a code search query is split into, dropping the
+   * cursors of ranges no longer part of it. Ecosystems running the same
+   * search share its partition.
+   */
+  async saveCodeSearchPartition(query, ranges) {
+    try {
+      await db.sequelize.transaction(async (transaction) => {
+        await db.CodeSearchPartitions.upsert({ query, ranges }, {
+          conflictFields: ['query'],
+          transaction
+        });
+
+        await db.DiscoveryCursors.destroy({
+          where: {
+            strategy: 'code',
+            query,
+            sizeRange: { [Op.notIn]: ranges.map(range => `${range.min}..${range.max}`) }
+          },
+          transaction
+        });
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        query,
+        ranges: ranges.length
+      }, 'Failed to save code search partition');
+      throw error;
+    }
+  }
+
+  /**
+   * Save the tracked dependencies found in a repository's manifests and
+   * lockfiles. Versions seen before keep their first sighting; versions no
+   * longer found are marked superseded, so usage can be traced over time.
+   * A superseded version found again is in use from this scan on.
+   *
+   * Only files the scan read can supersede anything: `skippedPaths` are
+   * files that exist but were not read, and `scannedPaths`, given when the
+   * file list was incomplete, are the only files that were.
+   */
+  async replaceRepositoryDependencies(repositoryId, dependenciesData, seenAt, { scannedPaths = null, skippedPaths = [] } = {}) {
+    try {
+      await db.sequelize.transaction(async (transaction) => {
+        if (dependenciesData.length > 0) {
+          await db.RepoDependencies.update(
+            { firstSeenAt: seenAt },
+            {
+              where: {
+                repositoryId,
+                supersededAt: { [Op.ne]: null },
+                [Op.or]: dependenciesData.map(({ path, packageName, version }) => ({ path, packageName, version }))
+              },
+              transaction
+            }
+          );
+
+          await db.RepoDependencies.bulkCreate(dependenciesData.map(dependency => ({
+            ...dependency,
+            repositoryId,
+            firstSeenAt: seenAt,
+            lastSeenAt: seenAt,
+            supersededAt: null
+          })), {
+            conflictAttributes: ['repositoryId', 'path', 'packageName', 'version'],
+            updateOnDuplicate: ['registry', 'source', 'requirement', 'lastSeenAt', 'supersededAt', 'updatedAt'],
+            transaction
+          });
+        }
+
+        await db.RepoDependencies.update(
+          { supersededAt: seenAt },
+          {
+            where: {
+              repositoryId,
+              supersededAt: null,
+              lastSeenAt: { [Op.lt]: seenAt },
+              [Op.and]: [
+                ...(scannedPaths ? [{ path: { [Op.in]: scannedPaths } }] : []),
+                ...(skippedPaths.length > 0 ? [{ path: { [Op.notIn]: skippedPaths } }] : [])
+              ]
+            },
+            transaction
+          }
+        );
+      });
+
+      logger.debug({
+        repositoryId,
+        count: dependenciesData.length
+      }, 'Repository dependencies saved');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repositoryId,
+        count: dependenciesData.length
+      }, 'Failed to save repository dependencies');
+      throw error;
+    }
+  }
+
+  /**
+   * Count repositories per version line of a package at the end of each of
+   * the last `months` months (now for the current one). A repository counts
+   * with its locked versions where it has a lockfile, with its manifest
+   * requirements otherwise. Rows without a versionLine are monthly totals.
+   * Also returns when each version line was first seen in any repository.
+   */
+  async getDependencyAdoption({ packageName, months = 12, granularity = 'minor' }) {
+    const versionLine = VERSION_LINES[granularity];
+
+    try {
+      const series = await db.sequelize.query(`
+        WITH points AS (
+          SELECT month, LEAST(month + INTERVAL '1 month', NOW()) AS at
+          FROM generate_series(
+            date_trunc('month', NOW()) - make_interval(months => :months - 1),
+            date_trunc('month', NOW()),
+            INTERVAL '1 month'
+          ) AS month
+        ),
+        used AS (
+          SELECT p.month, d."repositoryId", ${versionLine} AS "versionLine"
+          FROM points p
+          JOIN "RepoDependencies" d
+            ON d."packageName" = :packageName
+            AND d."firstSeenAt" < p.at
+            AND (d."supersededAt" IS NULL OR d."supersededAt" >= p.at)
+          WHERE d.source = 'lockfile' OR NOT EXISTS (
+            SELECT 1
+            FROM "RepoDependencies" l
+            WHERE l."repositoryId" = d."repositoryId"
+              AND l."packageName" = d."packageName"
+              AND l.source = 'lockfile'
+              AND l."firstSeenAt" < p.at
+              AND (l."supersededAt" IS NULL OR l."supersededAt" >= p.at)
+          )
+        )
+        SELECT month, "versionLine", COUNT(DISTINCT "repositoryId")::int AS "repositories"
+        FROM used
+        GROUP BY GROUPING SETS ((month, "versionLine"), (month))
+        ORDER BY month
+      `, {
+        replacements: { packageName, months },
+        type: db.sequelize.QueryTypes.SELECT
+      });
+
+      const firstSeen = await db.sequelize.query(`
+        SELECT ${versionLine} AS "versionLine", MIN(d."firstSeenAt") AS "firstSeenAt"
+        FROM "RepoDependencies" d
+        WHERE d."packageName" = :packageName
+        GROUP BY 1
+      `, {
+        replacements: { packageName },
+        type: db.sequelize.QueryTypes.SELECT
+      });
+
+      return { series, firstSeen };
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        packageName
+      }, 'Failed to get dependency adoption');
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the languages of a repository with GitHub's byte counts,
+   * e.g. `{ Rust: 120400, TypeScript: 30210 }`, flagging the primary one
+   */
+  async setRepositoryLanguages(repositoryId, languageBytes, primaryLanguage) {
+    const names = Object.keys(languageBytes);
+    const total = Object.values(languageBytes).reduce((sum, bytes) => sum + bytes, 0);
+
+    try {
+      await db.sequelize.transaction(async (transaction) => {
+        const languageIds = await ensureNames(db.Languages, names, transaction);
+        const ids = [...languageIds.values()];
+
+        await db.RepoLanguages.destroy({
+          where: { repositoryId, ...(ids.length > 0 ? { languageId: { [Op.notIn]: ids } } : {}) },
+          transaction
+        });
+
+        if (names.length > 0) {
+          await db.RepoLanguages.bulkCreate(names.map(name => ({
+            repositoryId,
+            languageId: languageIds.get(name),
+            bytes: languageBytes[name],
+            share: total > 0 ? Math.round(languageBytes[name] / total * 10000) / 10000 : 0,
+            isPrimary: name === primaryLanguage
+          })), {
+            conflictAttributes: ['repositoryId', 'languageId'],
+            updateOnDuplicate: ['bytes', 'share', 'isPrimary', 'updatedAt'],
+            transaction
+          });
+        }
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repositoryId
+      }, 'Failed to set repository languages');
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the topics of a repository
+   */
+  async setRepositoryTopics(repositoryId, topicNames) {
+    try {
+      await db.sequelize.transaction(async (transaction) => {
+        const topicIds = await ensureNames(db.Topics, topicNames, transaction);
+        const ids = [...topicIds.values()];
+
+        await db.RepoTopics.destroy({
+          where: { repositoryId, ...(ids.length > 0 ? { topicId: { [Op.notIn]: ids } } : {}) },
+          transaction
+        });
+
+        if (ids.length > 0) {
+          await db.RepoTopics.bulkCreate(ids.map(topicId => ({ repositoryId, topicId })), {
+            ignoreDuplicates: true,
+            transaction
+          });
+        }
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repositoryId
+      }, 'Failed to set repository topics');
+      throw error;
+    }
+  }
+
+  /**
+   * Find repositories by language and topic, with their languages and
+   * topics. `language` matches any language making up at least
+   * `minLanguageShare` of the code, `primaryLanguage` only the one GitHub
+   * shows. Language names match case-insensitively.
+   */
+  async findRepositories({ ecosystem, language, minLanguageShare = 0, primaryLanguage, topic, status, limit = 100, offset = 0 }) {
+    const conditions = [];
+    const escape = value => db.sequelize.escape(value);
+
+    if (ecosystem) {
+      conditions.push(ecosystemsCondition([ecosystem]));
+    }
+
+    if (language) {
+      conditions.push(db.sequelize.literal(`EXISTS (
+        SELECT 1 FROM "RepoLanguages" rl JOIN "Languages" l ON l.id = rl."languageId"
+        WHERE rl."repositoryId" = "SolanaGithubRepos".id
+          AND LOWER(l.name) = LOWER(${escape(language)}) AND rl.share >= ${escape(minLanguageShare)}
+      )`));
+    }
+
+    if (primaryLanguage) {
+      conditions.push(db.sequelize.literal(`EXISTS (
+        SELECT 1 FROM "RepoLanguages" rl JOIN "Languages" l ON l.id = rl."languageId"
+        WHERE rl."repositoryId" = "SolanaGithubRepos".id
+          AND LOWER(l.name) = LOWER(${escape(primaryLanguage)}) AND rl."isPrimary" = true
+      )`));
+    }
+
+    if (topic) {
+      conditions.push(db.sequelize.literal(`EXISTS (
+        SELECT 1 FROM "RepoTopics" rt JOIN "Topics" t ON t.id = rt."topicId"
+        WHERE rt."repositoryId" = "SolanaGithubRepos".id AND t.name = LOWER(${escape(topic)})
+      )`));
+    }
+
+    try {
+      const { count, rows } = await db.SolanaGithubRepos.findAndCountAll({
+        where: {
+          ...(status ? { status } : {}),
+          [Op.and]: conditions
+        },
+        include: [
+          {
+            model: db.RepoLanguages,
+            separate: true,
+            order: [['bytes', 'DESC']],
+            include: [{ model: db.Languages, attributes: ['name'] }]
+          },
+          {
+            model: db.RepoTopics,
+            separate: true,
+            include: [{ model: db.Topics, attributes: ['name'] }]
+          },
+          {
+            model: db.RepoEcosystems,
+            separate: true,
+            attributes: ['repositoryId', 'ecosystem']
+          }
+        ],
+        order: [['stars', 'DESC'], ['id', 'ASC']],
+        limit,
+        offset,
+        distinct: true
+      });
+
+      return { count, rows };
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ecosystem,
+        language,
+        primaryLanguage,
+        topic
+      }, 'Failed to find repositories');
+      throw error;
+    }
+  }
+
+  /**
+   * Repositories and bytes of code per language: how many repositories use
+   * it at all, have it as their primary language, and its share of all code
+   */
+  async getLanguageBreakdown() {
+    try {
+      return await db.sequelize.query(`
+        SELECT
+          l.name AS "language",
+          COUNT(*)::int AS "repositories",
+          COUNT(*) FILTER (WHERE rl."isPrimary")::int AS "primaryRepositories",
+          SUM(rl.bytes)::bigint AS "bytes"
+        FROM "RepoLanguages" rl
+        JOIN "Languages" l ON l.id = rl."languageId"
+        GROUP BY l.name
+        ORDER BY "primaryRepositories" DESC, "bytes" DESC
+      `, {
+        type: db.sequelize.QueryTypes.SELECT
+      });
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to get language breakdown');
+      throw error;
+    }
+  }
+
+  /**
+   * Get statistics
+   */
+  async getStats() {
+    try {
+      const [repoCount, developerCount, activityCount, statsPendingCount, ecosystemCounts] = await Promise.all([
+        db.SolanaGithubRepos.count(),
+        db.Developers.count(),
+        db.Activities.count(),
+        db.SolanaGithubRepos.count({
+          where: { statsRetryAt: { [Op.ne]: null } }
+        }),
+        db.RepoEcosystems.count({ group: ['ecosystem'] })
+      ]);
+
+      return {
+        repositories: repoCount,
+        repositoriesByEcosystem: Object.fromEntries(ecosystemCounts.map(row => [row.ecosystem, row.count])),
+        developers: developerCount,
+        activities: activityCount,
+        statsPending: statsPendingCount
+      };
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to get stats');
+      throw error;
+    }
+  }
+
+  /**
+   * Check if repository exists
+   */
+  async repositoryExists(repoId) {
+    try {
+      const count = await db.SolanaGithubRepos.count({
+        where: { repoId }
+      });
+      return count > 0;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repoId
+      }, 'Failed to check if repository exists');
+      throw error;
+    }
+  }
+
+  /**
+   * Which of the given GitHub repository ids are already collected
+   */
+  async getExistingRepoIds(repoIds) {
+    if (repoIds.length === 0) {
+      return new Set();
+    }
+
+    try {
+      const repos = await db.SolanaGithubRepos.findAll({
+        where: { repoId: repoIds },
+        attributes: ['repoId']
+      });
+
+      return new Set(repos.map(repo => repo.repoId));
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: repoIds.length
+      }, 'Failed to get existing repositories');
+      throw error;
+    }
+  }
+
+  /**
+   * Tag repositories, by GitHub repository id, with an ecosystem. Returns
+   * how many of them were not tagged with it before.
+   */
+  async tagRepositoryEcosystem(repoIds, ecosystem) {
+    if (repoIds.length === 0) {
+      return 0;
+    }
+
+    try {
+      const tagged = await db.sequelize.query(`
+        INSERT INTO "RepoEcosystems" ("repositoryId", ecosystem, "createdAt", "updatedAt")
+        SELECT r.id, :ecosystem, NOW(), NOW()
+        FROM "SolanaGithubRepos" r
+        WHERE r."repoId" IN (:repoIds)
+        ON CONFLICT ("repositoryId", ecosystem) DO NOTHING
+        RETURNING id
+      `, {
+        replacements: { repoIds, ecosystem },
+        type: db.sequelize.QueryTypes.SELECT
+      });
+
+      logger.debug({ ecosystem, count: repoIds.length, tagged: tagged.length }, 'Repositories tagged with ecosystem');
+
+      return tagged.length;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ecosystem,
+        count: repoIds.length
+      }, 'Failed to tag repositories with ecosystem');
+      throw error;
+    }
+  }
+
+  /**
+   * Get repositories without activity data
+   */
+  async getRepositoriesWithoutActivities(limit = 100, beforeId = null, forkPolicy = 'include') {
+    try {
+      const repos = await db.sequelize.query(`
+        SELECT r.*
+        FROM "SolanaGithubRepos" r
+        LEFT JOIN "Activities" a ON r.id = a."repositoryId"
+        WHERE a.id IS NULL AND r.status IN (:statuses)
+          AND (r."statsRetryAt" IS NULL OR r."statsRetryAt" <= NOW())
+          ${beforeId !== null ? 'AND r.id < :beforeId' : ''}
+          ${forkPolicySql(forkPolicy)}
+        ORDER BY r.id DESC
+        LIMIT :limit
+      `, {
+        replacements: { limit, beforeId, statuses: COLLECTED_STATUSES },
+        type: db.sequelize.QueryTypes.SELECT
+      });
+
+      return repos;
+    } catch (error) {
+      logger.error({
+        error: error.message
+      }, 'Failed to get repositories without activities');
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over repositories without activity data in batches. Repositories
+   * that still have no activity after processing are not returned again.
+   */
+  async *iterateRepositoriesWithoutActivities({ batchSize = 100, forkPolicy = 'include' } = {}) {
+    let lastId = null;
+
+    while (true) {
+      const repos = await this.getRepositoriesWithoutActivities(batchSize, lastId, forkPolicy);
+
+      if (repos.length === 0) {
+        return;
+      }
+
+      lastId = repos[repos.length - 1].id;
+      yield repos;
+    }
+  }
+
+  /**
+   * Add per-token usage counters to their hourly rows
+   */
+  async recordTokenUsage(rows) {
+    try {
+      for (const row of rows) {
+        await db.sequelize.query(`
+          INSERT INTO "TokenUsageStats"
+            ("tokenKey", "tokenLabel", "apiType", "hour", "requests", "errors",
+             "rateLimitHits", "rateLimitWaits", "rateLimitWaitMs", "createdAt", "updatedAt")
+          VALUES
+            (:tokenKey, :tokenLabel, :apiType, :hour, :requests, :errors,
+             :rateLimitHits, :rateLimitWaits, :rateLimitWaitMs, NOW(), NOW())
+          ON CONFLICT ("tokenKey", "apiType", "hour") DO UPDATE SET
+            "tokenLabel" = EXCLUDED."tokenLabel",
+            "requests" = "TokenUsageStats"."requests" + EXCLUDED."requests",
+            "errors" = "TokenUsageStats"."errors" + EXCLUDED."errors",
+            "rateLimitHits" = "TokenUsageStats"."rateLimitHits" + EXCLUDED."rateLimitHits",
+            "rateLimitWaits" = "TokenUsageStats"."rateLimitWaits" + EXCLUDED."rateLimitWaits",
+            "rateLimitWaitMs" = "TokenUsageStats"."rateLimitWaitMs" + EXCLUDED."rateLimitWaitMs",
+            "updatedAt" = NOW()
+        `, {
+          replacements: row
+        });
+      }
+
+      logger.debug({ count: rows.length }, 'Token usage recorded');
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: rows.length
+      }, 'Failed to record token usage');
+      throw error;
+    }
+  }
+
+  /**
+   * Get usage totals per token and API type over a time range
+   */
+  async getTokenUsage({ from, to }) {
+    try {
+      return await db.sequelize.query(`
+        SELECT
+          "tokenKey",
+          MAX("tokenLabel") AS "tokenLabel",
+          "apiType",
+          SUM("requests")::int AS "requests",
+          SUM("errors")::int AS "errors",
+          SUM("rateLimitHits")::int AS "rateLimitHits",
+          SUM("rateLimitWaits")::int AS "rateLimitWaits",
+          SUM("rateLimitWaitMs")::bigint AS "rateLimitWaitMs",
+          COUNT(*)::int AS "activeHours"
+        FROM "TokenUsageStats"
+        WHERE "hour" >= :from AND "hour" < :to
+        GROUP BY "tokenKey", "apiType"
+        ORDER BY "tokenKey", "apiType"
+      `, {
+        replacements: { from, to },
+        type: db.sequelize.QueryTypes.SELECT
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        from,
+        to
+      }, 'Failed to get token usage');
+      throw error;
+    }
+  }
+
+  /**
+   * Get a cached GitHub response that has been used since the given time
+   */
+  async getCachedResponse(cacheKey, usedSince) {
+    try {
+      return await db.GitHubResponseCache.findOne({
+        where: {
+          cacheKey,
+          lastUsedAt: { [Op.gte]: usedSince }
+        },
+        raw: true
+      });
+    } catch (error) {
+      logger.error({ error: error.message, cacheKey }, 'Failed to get cached response');
+      throw error;
+    }
+  }
+
+  /**
+   * Store or replace a cached GitHub response
+   */
+  async saveCachedResponse(entry) {
+    try {
+      await db.GitHubResponseCache.upsert({
+        ...entry,
+        lastUsedAt: new Date()
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        endpoint: entry.endpoint
+      }, 'Failed to save cached response');
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a cached GitHub response as revalidated
+   */
+  async touchCachedResponse(cacheKey) {
+    try {
+      await db.GitHubResponseCache.update(
+        { lastUsedAt: new Date() },
+        { where: { cacheKey } }
+      );
+    } catch (error) {
+      logger.error({ error: error.message, cacheKey }, 'Failed to touch cached response');
+      throw error;
+    }
+  }
+
+  /**
+   * Drop cached responses that are expired, over their route's entry limit,
+   * or for routes that are no longer cached
+   */
+  async pruneResponseCache(endpoints) {
+    try {
+      let deleted = await db.GitHubResponseCache.destroy({
+        where: {
+          endpoint: { [Op.notIn]: Object.keys(endpoints) }
+        }
+      });
+
+      for (const [endpoint, { ttlMs, maxEntries }] of Object.entries(endpoints)) {
+        deleted += await db.GitHubResponseCache.destroy({
+          where: {
+            endpoint,
+            lastUsedAt: { [Op.lt]: new Date(Date.now() - ttlMs) }
+          }
+        });
+
+        const [, result] = await db.sequelize.query(`
+          DELETE FROM "GitHubResponseCache"
+          WHERE "id" IN (
+            SELECT "id" FROM "GitHubResponseCache"
+            WHERE "endpoint" = :endpoint
+            ORDER BY "lastUsedAt" DESC
+            OFFSET :maxEntries
+          )
+        `, {
+          replacements: { endpoint, maxEntries }
+        });
+        deleted += result.rowCount || 0;
+      }
+
+      logger.info({ deleted }, 'Response cache pruned');
+      return deleted;
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to prune response cache');
       throw error;
     }
   }
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { Octokit } = require('@octokit/core');
+const logger = require('../../utils/logger');
+
+/**
+ * Mints and caches installation access tokens for a GitHub App.
+ * Installation tokens expire after one hour, so they are refreshed
+ * as soon as they get within `refreshMarginMs` of their expiry.
+ */
+class GitHubAppAuth {
+  constructor({ appId, privateKey, installationId, refreshMarginMs = 5 * 60 * 1000, baseUrl }) {
+    if (!appId || !privateKey || !installationId) {
+      throw new Error('GitHub App credentials require appId, privateKey and installationId');
+    }
+
+    this.appId = String(appId);
+    this.privateKey = privateKey;
+    this.installationId = String(installationId);
+    this.refreshMarginMs = refreshMarginMs;
+
+    this.token = null;
+    this.expiresAt = 0;
+    this.pendingRefresh = null;
+
+    this.octokit = new Octokit({ baseUrl });
+  }
+
+  /**
+   * Build a short-lived JWT signed with the App's private key
+   */
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+
+    // Backdate issued-at to allow for clock drift, GitHub caps expiry at 10 minutes
+    const header = { alg: 'RS256', typ: 'JWT' };
+    const payload = { iat: now - 60, exp: now + 9 * 60, iss: this.appId };
+
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const unsigned = `${encode(header)}.${encode(payload)}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(unsigned), this.privateKey);
+
+    return `${unsigned}.${signature.toString('base64url')}`;
+  }
+
+  /**
+   * Exchange a JWT for a fresh installation access token
+   */
+  async refresh() {
+    const response = await this.octokit.request('POST /app/installations/{installation_id}/access_tokens', {
+      installation_id: this.installationId,
+      headers: {
+        authorization: `bearer ${this.createJwt()}`
+      }
+    });
+
+    this.token = response.data.token;
+    this.expiresAt = new Date(response.data.expires_at).getTime();
+
+    logger.info({
+      appId: this.appId,
+      installationId: this.installationId,
+      expiresAt: response.data.expires_at
+    }, 'GitHub App installation token minted');
+
+    return this.token;
+  }
+
+  /**
+   * Get a valid installation token, refreshing it if it is close to expiry
+   */
+  async getToken() {
+    if (this.token && this.expiresAt - this.refreshMarginMs > Date.now()) {
+      return this.token;
+    }
+
+    // Share one refresh between concurrent callers
+    if (!this.pendingRefresh) {
+      this.pendingRefresh = this.refresh().finally(() => {
+        this.pendingRefresh = null;
+      });
+    }
+
+    return await this.pendingRefresh;
+  }
+
+  /**
+   * Drop the cached token so the next request mints a new one
+   */
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+  }
+
+  /**
+   * Attach the installation token to every request made by an Octokit instance
+   */
+  attach(octokit) {
+    octokit.hook.before('request', async (options) => {
+      options.headers.authorization = `token ${await this.getToken()}`;
+    });
+
+    octokit.hook.error('request', (error) => {
+      if (error.status === 401) {
+        this.invalidate();
+      }
+      throw error;
+    });
+  }
+}
+
+module.exports = GitHubAppAuth;
@@ -1,15 +1,78 @@
 const TokenManager = require('./TokenManager');
+const RedisTokenStateStore = require('./RedisTokenStateStore');
+const TokenFileWatcher = require('./TokenFileWatcher');
+const ResponseCache = require('./ResponseCache');
+const DatabaseService = require('../database/DatabaseService');
 const logger = require('../../utils/logger');
 const config = require('../../config');
 
+const DEFAULT_API_URL = 'https://api.github.com';
+
+// Search endpoints never return more than this many results per query
+const SEARCH_RESULT_CAP = 1000;
+
 class GitHubService {
-  constructor() {
-    if (config.github.tokens.length === 0) {
-      throw new Error('No GitHub tokens configured');
+  constructor({ priority = 'normal', consumer } = {}) {
+    this.tokenManager = GitHubService.getTokenManager();
+    this.priority = priority;
+    this.consumer = consumer;
+    logger.info({ priority, consumer }, 'GitHubService initialized');
+  }
+
+  /**
+   * Get the token manager shared by every GitHubService in this process,
+   * so all workers wait in the same per-API-type queues
+   */
+  static getTokenManager() {
+    if (!GitHubService.sharedTokenManager) {
+      const { apps, tokensFile, apiUrl } = config.github;
+      let { tokens } = config.github;
+
+      if (tokens.length === 0 && apps.length === 0 && !tokensFile) {
+        if (apiUrl === DEFAULT_API_URL) {
+          throw new Error('No GitHub tokens configured');
+        }
+
+        // A stand-in API such as the fake server does not check credentials
+        logger.warn({ apiUrl }, 'No GitHub tokens configured, using a placeholder token');
+        tokens = ['placeholder'];
+      }
+
+      const stateStore = config.github.sharedState.enabled
+        ? new RedisTokenStateStore({
+          redis: config.redis,
+          keyPrefix: config.github.sharedState.keyPrefix
+        })
+        : undefined;
+
+      const responseCache = config.github.responseCache.enabled
+        ? new ResponseCache({
+          store: new DatabaseService(),
+          endpoints: config.github.responseCache.endpoints,
+          maxEntryBytes: config.github.responseCache.maxEntryBytes
+        })
+        : undefined;
+
+      GitHubService.sharedTokenManager = new TokenManager(tokens, apps, { stateStore, responseCache });
+
+      if (tokensFile) {
+        GitHubService.tokenFileWatcher = new TokenFileWatcher(GitHubService.sharedTokenManager, tokensFile);
+        GitHubService.tokenFileWatcher.start();
+      }
     }
 
-    this.tokenManager = new TokenManager(config.github.tokens);
-    logger.info('GitHubService initialized');
+    return GitHubService.sharedTokenManager;
+  }
+
+  /**
+   * Run a request through the token manager at this service's priority,
+   * counting it against this service's consumer budget
+   */
+  async execute(apiType, requestFn) {
+    return await this.tokenManager.execute(apiType, requestFn, {
+      priority: this.priority,
+      consumer: this.consumer
+    });
   }
 
   /**
@@ -17,18 +80,12 @@ class GitHubService {
    * More precise but has lower rate limits (10/min per token)
    */
   async searchCode({ filename, extension, keyword, sizeRange, inLocation, perPage = 100, page = 1 }) {
-    let query = '';
-
-    if (filename) query += `filename:${filename}`;
-    if (extension) query += `${query ? '+' : ''}extension:${extension}`;
-    if (keyword) query += `${query ? '+' : ''}${keyword}`;
-    if (sizeRange) query += `${query ? '+' : ''}size:${sizeRange}`;
-    if (inLocation) query += `${query ? '+' : ''}in:${inLocation}`;
+    const query = this.buildCodeSearchQuery({ filename, extension, keyword, sizeRange, inLocation });
 
     logger.debug({ query, page }, 'Searching code');
 
     try {
-      const response = await this.tokenManager.execute('code_search', async (octokit) => {
+      const response = await this.execute('code_search', async (octokit) => {
         return await octokit.request('GET /search/code', {
           q: query,
           per_page: perPage,
@@ -52,16 +109,12 @@ class GitHubService {
    * Less precise but has better rate limits (30/min per token)
    */
   async searchRepositories({ keywords, language, stars, pushed, perPage = 100, page = 1 }) {
-    let query = keywords;
-
-    if (language) query += ` language:${language}`;
-    if (stars) query += ` stars:${stars}`;
-    if (pushed) query += ` pushed:${pushed}`;
+    const query = this.buildRepositorySearchQuery({ keywords, language, stars, pushed });
 
     logger.debug({ query, page }, 'Searching repositories');
 
     try {
-      const response = await this.tokenManager.execute('search', async (octokit) => {
+      const response = await this.execute('search', async (octokit) => {
         return await octokit.request('GET /search/repositories', {
           q: query,
           per_page: perPage,
@@ -82,12 +135,286 @@ class GitHubService {
     }
   }
 
+  buildCodeSearchQuery({ filename, extension, keyword, sizeRange, inLocation }) {
+    let query = '';
+
+    if (filename) query += `filename:${filename}`;
+    if (extension) query += `${query ? '+' : ''}extension:${extension}`;
+    if (keyword) query += `${query ? '+' : ''}${keyword}`;
+    if (sizeRange) query += `${query ? '+' : ''}size:${sizeRange}`;
+    if (inLocation) query += `${query ? '+' : ''}in:${inLocation}`;
+
+    return query;
+  }
+
+  buildRepositorySearchQuery({ keywords, language, stars, pushed }) {
+    let query = keywords;
+
+    if (language) query += ` language:${language}`;
+    if (stars) query += ` stars:${stars}`;
+    if (pushed) query += ` pushed:${pushed}`;
+
+    return query;
+  }
+
+  /**
+   * Iterate over every page of a list or search endpoint by following the
+   * `Link: rel="next"` header. Each yielded page carries its items, progress
+   * counters and the cursor of the page after it (null on the last page);
+   * passing a saved cursor back in resumes from that page.
+   */
+  async *paginate(apiType, route, params = {}, { cursor = null, maxResults = Infinity } = {}) {
+    let pageParams = cursor;
+    let page = cursor && cursor.page ? parseInt(cursor.page) - 1 : 0;
+    let fetched = 0;
+
+    while (true) {
+      const response = await this.execute(apiType, async (octokit) => {
+        return await octokit.request(route, { ...params, ...pageParams });
+      });
+
+      const isSearch = !Array.isArray(response.data);
+      const items = isSearch ? (response.data.items || []) : (response.data || []);
+      page++;
+      fetched += items.length;
+
+      const nextParams = this.getNextPageParams(response.headers.link, params);
+      const reachedCap = (page * (params.per_page || 30)) >= maxResults;
+      const done = !nextParams || items.length === 0 || reachedCap;
+
+      yield {
+        items,
+        page,
+        fetched,
+        totalCount: isSearch ? (response.data.total_count || 0) : null,
+        incomplete: isSearch ? (response.data.incomplete_results || false) : false,
+        cursor: done ? null : nextParams
+      };
+
+      if (done) {
+        return;
+      }
+
+      pageParams = nextParams;
+    }
+  }
+
+  /**
+   * Read the pagination parameters (page, or before/after cursors) of the
+   * next page from a Link header, or null if this is the last page
+   */
+  getNextPageParams(link, params) {
+    const next = (link || '').split(',').find(part => part.includes('rel="next"'));
+    if (!next) {
+      return null;
+    }
+
+    const url = new URL(next.slice(next.indexOf('<') + 1, next.indexOf('>')));
+    const nextParams = {};
+
+    for (const [key, value] of url.searchParams) {
+      if (!(key in params)) {
+        nextParams[key] = value;
+      }
+    }
+
+    return nextParams;
+  }
+
+  /**
+   * Iterate over code search results, up to the 1000 results GitHub serves per query
+   */
+  paginateSearchCode({ filename, extension, keyword, sizeRange, inLocation, perPage = 100 }, options = {}) {
+    const query = this.buildCodeSearchQuery({ filename, extension, keyword, sizeRange, inLocation });
+
+    return this.paginate('code_search', 'GET /search/code', {
+      q: query,
+      per_page: perPage
+    }, { maxResults: SEARCH_RESULT_CAP, ...options });
+  }
+
+  /**
+   * Iterate over repository search results, up to the 1000 results GitHub serves per query
+   */
+  paginateSearchRepositories({ keywords, language, stars, pushed, perPage = 100 }, options = {}) {
+    const query = this.buildRepositorySearchQuery({ keywords, language, stars, pushed });
+
+    return this.paginate('search', 'GET /search/repositories', {
+      q: query,
+      per_page: perPage,
+      sort: 'stars',
+      order: 'desc'
+    }, { maxResults: SEARCH_RESULT_CAP, ...options });
+  }
+
+  /**
+   * Iterate over every page of repository contributors
+   */
+  async *paginateContributors({ owner, repo, perPage = 100 }, options = {}) {
+    try {
+      yield* this.paginate('core', 'GET /repos/{owner}/{repo}/contributors', {
+        owner,
+        repo,
+        per_page: perPage
+      }, options);
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug({ owner, repo }, 'Repository or contributors not found');
+        return;
+      }
+      logger.error({ error: error.message, owner, repo }, 'Failed to get contributors');
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over every page of repository commits
+   */
+  async *paginateCommits({ owner, repo, since, until, perPage = 100 }, options = {}) {
+    const params = {
+      owner,
+      repo,
+      per_page: perPage
+    };
+
+    if (since) params.since = since;
+    if (until) params.until = until;
+
+    try {
+      yield* this.paginate('core', 'GET /repos/{owner}/{repo}/commits', params, options);
+    } catch (error) {
+      // Empty repositories answer 409
+      if (error.status === 404 || error.status === 409) {
+        logger.debug({ owner, repo }, 'Repository or commits not found');
+        return;
+      }
+      logger.error({ error: error.message, owner, repo }, 'Failed to get commits');
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over repository pull requests, most recently updated first.
+   * The endpoint has no `since` filter, so callers stop once they reach
+   * pull requests they have already seen.
+   */
+  async *paginatePullRequests({ owner, repo, state = 'all', perPage = 100 }, options = {}) {
+    try {
+      yield* this.paginate('core', 'GET /repos/{owner}/{repo}/pulls', {
+        owner,
+        repo,
+        state,
+        sort: 'updated',
+        direction: 'desc',
+        per_page: perPage
+      }, options);
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug({ owner, repo }, 'Repository or pull requests not found');
+        return;
+      }
+      logger.error({ error: error.message, owner, repo }, 'Failed to get pull requests');
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over repository issues updated since the given time, oldest
+   * update first. GitHub lists pull requests here too, marked with a
+   * `pull_request` key.
+   */
+  async *paginateIssues({ owner, repo, since, state = 'all', perPage = 100 }, options = {}) {
+    const params = {
+      owner,
+      repo,
+      state,
+      sort: 'updated',
+      direction: 'asc',
+      per_page: perPage
+    };
+
+    if (since) params.since = since;
+
+    try {
+      yield* this.paginate('core', 'GET /repos/{owner}/{repo}/issues', params, options);
+    } catch (error) {
+      // Repositories with issues disabled answer 410
+      if (error.status === 404 || error.status === 410) {
+        logger.debug({ owner, repo }, 'Repository or issues not found');
+        return;
+      }
+      logger.error({ error: error.message, owner, repo }, 'Failed to get issues');
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over the reviews of a pull request
+   */
+  async *paginateReviews({ owner, repo, pullNumber, perPage = 100 }, options = {}) {
+    try {
+      yield* this.paginate('core', 'GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews', {
+        owner,
+        repo,
+        pull_number: pullNumber,
+        per_page: perPage
+      }, options);
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug({ owner, repo, pullNumber }, 'Pull request or reviews not found');
+        return;
+      }
+      logger.error({ error: error.message, owner, repo, pullNumber }, 'Failed to get reviews');
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over repository releases, newest first
+   */
+  async *paginateReleases({ owner, repo, perPage = 100 }, options = {}) {
+    try {
+      yield* this.paginate('core', 'GET /repos/{owner}/{repo}/releases', {
+        owner,
+        repo,
+        per_page: perPage
+      }, options);
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug({ owner, repo }, 'Repository or releases not found');
+        return;
+      }
+      logger.error({ error: error.message, owner, repo }, 'Failed to get releases');
+      throw error;
+    }
+  }
+
+  /**
+   * Iterate over repository tags
+   */
+  async *paginateTags({ owner, repo, perPage = 100 }, options = {}) {
+    try {
+      yield* this.paginate('core', 'GET /repos/{owner}/{repo}/tags', {
+        owner,
+        repo,
+        per_page: perPage
+      }, options);
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug({ owner, repo }, 'Repository or tags not found');
+        return;
+      }
+      logger.error({ error: error.message, owner, repo }, 'Failed to get tags');
+      throw error;
+    }
+  }
+
   /**
    * Get repository details
    */
   async getRepository({ owner, repo }) {
     try {
-      const response = await this.tokenManager.execute('core', async (octokit) => {
+      const response = await this.execute('core', async (octokit) => {
         return await octokit.request('GET /repos/{owner}/{repo}', {
           owner,
           repo
@@ -106,30 +433,305 @@ class GitHubService {
   }
 
   /**
-   * Get repository contributors with their activity stats
+   * Get repository details by its numeric id, which survives renames and
+   * transfers. Returns null when the repository was deleted or is out of reach.
+   * Unavailable repositories (451) are thrown with their status.
    */
-  async getContributorsActivity({ owner, repo }) {
+  async getRepositoryById({ id }) {
+    try {
+      const response = await this.execute('core', async (octokit) => {
+        return await octokit.request('GET /repositories/{id}', { id });
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug({ id }, 'Repository not found by id');
+        return null;
+      }
+      logger.error({ error: error.message, id }, 'Failed to get repository by id');
+      throw error;
+    }
+  }
+
+  /**
+   * Get the bytes of code per language, as classified by GitHub,
+   * e.g. `{ Rust: 120400, TypeScript: 30210 }`. Null when the repository is gone.
+   */
+  async getLanguages({ owner, repo }) {
     try {
-      const response = await this.tokenManager.execute('core', async (octokit) => {
-        return await octokit.request('GET /repos/{owner}/{repo}/stats/contributors', {
+      const response = await this.execute('core', async (octokit) => {
+        return await octokit.request('GET /repos/{owner}/{repo}/languages', {
           owner,
           repo
         });
       });
 
-      // GitHub returns 202 when stats are being computed
-      if (response.status === 202) {
-        logger.debug({ owner, repo }, 'Stats being computed, waiting');
-        await this.sleep(2000);
-        return await this.getContributorsActivity({ owner, repo });
+      return response.data;
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug({ owner, repo }, 'Repository not found');
+        return null;
       }
+      logger.error({ error: error.message, owner, repo }, 'Failed to get languages');
+      throw error;
+    }
+  }
 
-      return response.data || [];
+  /**
+   * Compare two refs, e.g. `main...fork-owner:main` on a fork's parent to see
+   * how far the fork has moved. Only the first commit is listed.
+   */
+  async compareCommits({ owner, repo, basehead }) {
+    try {
+      const response = await this.execute('core', async (octokit) => {
+        return await octokit.request('GET /repos/{owner}/{repo}/compare/{basehead}', {
+          owner,
+          repo,
+          basehead,
+          per_page: 1
+        });
+      });
+
+      return response.data;
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug({ owner, repo, basehead }, 'Refs to compare not found');
+        return null;
+      }
+      logger.error({ error: error.message, owner, repo, basehead }, 'Failed to compare commits');
+      throw error;
+    }
+  }
+
+  /**
+   * List every file of a repository at a ref, `HEAD` for the default branch.
+   * Returns null for missing and empty repositories. Very large trees come
+   * back with `truncated` set.
+   */
+  async getTree({ owner, repo, treeSha = 'HEAD' }) {
+    try {
+      const response = await this.execute('core', async (octokit) => {
+        return await octokit.request('GET /repos/{owner}/{repo}/git/trees/{tree_sha}', {
+          owner,
+          repo,
+          tree_sha: treeSha,
+          recursive: 1
+        });
+      });
+
+      return response.data;
+    } catch (error) {
+      // 409 for repositories without any commit
+      if (error.status === 404 || error.status === 409) {
+        logger.debug({ owner, repo, treeSha }, 'Repository tree not found');
+        return null;
+      }
+      logger.error({ error: error.message, owner, repo, treeSha }, 'Failed to get repository tree');
+      throw error;
+    }
+  }
+
+  /**
+   * Get the text of a file by the blob sha listed in its tree, or null when
+   * it is gone. Blobs are served as JSON up to 100 MB, where the contents
+   * endpoint stops at 1 MB, and never change for a sha.
+   */
+  async getBlob({ owner, repo, fileSha }) {
+    try {
+      const response = await this.execute('core', async (octokit) => {
+        return await octokit.request('GET /repos/{owner}/{repo}/git/blobs/{file_sha}', {
+          owner,
+          repo,
+          file_sha: fileSha
+        });
+      });
+
+      const { content, encoding } = response.data;
+      return Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+    } catch (error) {
+      if (error.status === 404) {
+        logger.debug({ owner, repo, fileSha }, 'Blob not found');
+        return null;
+      }
+      logger.error({ error: error.message, owner, repo, fileSha }, 'Failed to get blob');
+      throw error;
+    }
+  }
+
+  /**
+   * Run a GraphQL query, counted against the graphql quota.
+   * GitHub answers partial failures with 200, so per-field errors are
+   * returned alongside the data instead of being thrown.
+   */
+  async graphql(query, variables = {}) {
+    return await this.execute('graphql', async (octokit) => {
+      const response = await octokit.request('POST /graphql', { query, variables });
+      const errors = response.data.errors || [];
+
+      // Surface quota errors like the REST API does so the token is rotated
+      const rateLimited = errors.find(error => error.type === 'RATE_LIMITED');
+      if (rateLimited) {
+        const error = new Error(`GraphQL rate limit exceeded: ${rateLimited.message}`);
+        error.status = 403;
+        throw error;
+      }
+
+      if (!response.data.data) {
+        const error = new Error(errors.map(e => e.message).join('; ') || 'Empty GraphQL response');
+        error.status = 400;
+        throw error;
+      }
+
+      return { data: response.data.data, errors };
+    });
+  }
+
+  /**
+   * Get details of many repositories with one GraphQL query per batch.
+   * Results follow the order of `repos`, with null for repositories that
+   * no longer exist, and use the field names of the REST repository object.
+   */
+  async getRepositoriesBatch(repos, { batchSize = 100 } = {}) {
+    const results = [];
+
+    for (let start = 0; start < repos.length; start += batchSize) {
+      const batch = repos.slice(start, start + batchSize);
+      const variableDefinitions = [];
+      const fields = [];
+      const variables = {};
+
+      batch.forEach(({ owner, repo }, index) => {
+        variableDefinitions.push(`$owner${index}: String!`, `$name${index}: String!`);
+        fields.push(`r${index}: repository(owner: $owner${index}, name: $name${index}) { ...RepositoryDetails }`);
+        variables[`owner${index}`] = owner;
+        variables[`name${index}`] = repo;
+      });
+
+      const query = `
+        query (${variableDefinitions.join(', ')}) {
+          ${fields.join('\n          ')}
+        }
+
+        fragment RepositoryDetails on Repository {
+          databaseId
+          name
+          nameWithOwner
+          url
+          owner { login }
+          createdAt
+          pushedAt
+          isFork
+          isTemplate
+          isArchived
+          templateRepository { nameWithOwner }
+          stargazerCount
+          forkCount
+          watchers { totalCount }
+          diskUsage
+          issues(states: OPEN) { totalCount }
+          pullRequests(states: OPEN) { totalCount }
+        }
+      `;
+
+      try {
+        const { data, errors } = await this.graphql(query, variables);
+
+        const unexpected = errors.filter(error => error.type !== 'NOT_FOUND');
+        if (unexpected.length > 0) {
+          logger.warn({
+            errors: unexpected.map(error => error.message)
+          }, 'Repository batch returned errors');
+        }
+
+        batch.forEach((_, index) => {
+          const repository = data[`r${index}`];
+          results.push(repository ? this.toRestRepository(repository) : null);
+        });
+      } catch (error) {
+        logger.error({ error: error.message, count: batch.length }, 'Failed to get repository batch');
+        throw error;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Map a GraphQL repository onto the REST repository fields used by workers
+   */
+  toRestRepository(repository) {
+    return {
+      id: repository.databaseId,
+      name: repository.name,
+      full_name: repository.nameWithOwner,
+      html_url: repository.url,
+      owner: { login: repository.owner.login },
+      created_at: repository.createdAt,
+      pushed_at: repository.pushedAt,
+      fork: repository.isFork,
+      is_template: repository.isTemplate,
+      template_repository: repository.templateRepository
+        ? { full_name: repository.templateRepository.nameWithOwner }
+        : null,
+      archived: repository.isArchived,
+      stargazers_count: repository.stargazerCount,
+      forks_count: repository.forkCount,
+      // REST calls watchers subscribers, its watchers_count is the star count
+      subscribers_count: repository.watchers ? repository.watchers.totalCount : null,
+      size: repository.diskUsage !== undefined ? repository.diskUsage : null,
+      // Like REST, open issues include open pull requests
+      open_issues_count: repository.issues.totalCount + repository.pullRequests.totalCount
+    };
+  }
+
+  /**
+   * Request a statistics endpoint, retrying with exponential backoff while
+   * GitHub answers 202 because the statistics are still being computed.
+   * Throws an error with status 202 once the attempts are used up.
+   */
+  async getStats(route, { owner, repo }) {
+    const { maxAttempts, baseDelayMs } = config.github.statsRetry;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const response = await this.execute('core', async (octokit) => {
+        return await octokit.request(route, {
+          owner,
+          repo
+        });
+      });
+
+      if (response.status !== 202) {
+        return response.data || [];
+      }
+
+      if (attempt < maxAttempts) {
+        const delay = baseDelayMs * 2 ** (attempt - 1);
+        logger.debug({ owner, repo, route, attempt, delay }, 'Stats being computed, waiting');
+        await this.sleep(delay);
+      }
+    }
+
+    const error = new Error(`Statistics for ${owner}/${repo} are still being computed`);
+    error.status = 202;
+    throw error;
+  }
+
+  /**
+   * Get repository contributors with their activity stats
+   */
+  async getContributorsActivity({ owner, repo }) {
+    try {
+      return await this.getStats('GET /repos/{owner}/{repo}/stats/contributors', { owner, repo });
     } catch (error) {
       if (error.status === 404) {
         logger.debug({ owner, repo }, 'Repository or stats not found');
         return null;
       }
+      if (error.status === 202) {
+        logger.debug({ owner, repo }, 'Contributor stats still being computed');
+        throw error;
+      }
       logger.error({ error: error.message, owner, repo }, 'Failed to get contributor activity');
       throw error;
     }
@@ -140,7 +742,7 @@ class GitHubService {
    */
   async getContributors({ owner, repo, perPage = 100, page = 1 }) {
     try {
-      const response = await this.tokenManager.execute('core', async (octokit) => {
+      const response = await this.execute('core', async (octokit) => {
         return await octokit.request('GET /repos/{owner}/{repo}/contributors', {
           owner,
           repo,
@@ -165,7 +767,7 @@ class GitHubService {
    */
   async getUser({ username }) {
     try {
-      const response = await this.tokenManager.execute('core', async (octokit) => {
+      const response = await this.execute('core', async (octokit) => {
         return await octokit.request('GET /users/{username}', {
           username
         });
@@ -197,7 +799,7 @@ class GitHubService {
       if (since) params.since = since;
       if (until) params.until = until;
 
-      const response = await this.tokenManager.execute('core', async (octokit) => {
+      const response = await this.execute('core', async (octokit) => {
         return await octokit.request('GET /repos/{owner}/{repo}/commits', params);
       });
 
@@ -217,26 +819,16 @@ class GitHubService {
    */
   async getCommitActivity({ owner, repo }) {
     try {
-      const response = await this.tokenManager.execute('core', async (octokit) => {
-        return await octokit.request('GET /repos/{owner}/{repo}/stats/commit_activity', {
-          owner,
-          repo
-        });
-      });
-
-      // GitHub returns 202 when stats are being computed
-      if (response.status === 202) {
-        logger.debug({ owner, repo }, 'Commit stats being computed, waiting');
-        await this.sleep(2000);
-        return await this.getCommitActivity({ owner, repo });
-      }
-
-      return response.data || [];
+      return await this.getStats('GET /repos/{owner}/{repo}/stats/commit_activity', { owner, repo });
     } catch (error) {
       if (error.status === 404) {
         logger.debug({ owner, repo }, 'Repository or commit activity not found');
         return [];
       }
+      if (error.status === 202) {
+        logger.debug({ owner, repo }, 'Commit stats still being computed');
+        throw error;
+      }
       logger.error({ error: error.message, owner, repo }, 'Failed to get commit activity');
       throw error;
     }
@@ -245,13 +837,13 @@ class GitHubService {
   /**
    * Get trending repositories (approximation using search)
    */
-  async getTrendingRepositories({ language = 'rust', days = 7, perPage = 100 }) {
+  async getTrendingRepositories({ keywords = 'solana', language = 'rust', days = 7, perPage = 100 }) {
     const date = new Date();
     date.setDate(date.getDate() - days);
     const dateString = date.toISOString().split('T')[0];
 
     return await this.searchRepositories({
-      keywords: 'solana',
+      keywords,
       language,
       pushed: `>=${dateString}`,
       stars: '>=10',
@@ -266,6 +858,57 @@ class GitHubService {
     return await this.tokenManager.getHealthStatus();
   }
 
+  /**
+   * Estimate how long a request would currently wait for a token, in ms
+   */
+  async estimateWait(apiType = 'core') {
+    return await this.tokenManager.estimateWait(apiType, { priority: this.priority });
+  }
+
+  /**
+   * Get token queue lengths and wait estimates per API type
+   */
+  async getSchedulerStatus() {
+    const queues = this.tokenManager.scheduler.getQueueStatus();
+    const estimates = {};
+
+    for (const apiType of ['core', 'search', 'code_search', 'graphql']) {
+      estimates[apiType] = await this.tokenManager.estimateWait(apiType, { priority: this.priority });
+    }
+
+    return { queues, estimatedWaitMs: estimates };
+  }
+
+  /**
+   * Get usage against the per-consumer quota budgets
+   */
+  async getBudgetStatus() {
+    return await this.tokenManager.budgets.getStatus();
+  }
+
+  /**
+   * Get hit rates of the ETag response cache, or null if it is disabled
+   */
+  getCacheStatus() {
+    const { responseCache } = this.tokenManager;
+    return responseCache ? responseCache.getStats() : null;
+  }
+
+  /**
+   * Release resources held by the shared token manager
+   */
+  async close() {
+    if (GitHubService.tokenFileWatcher) {
+      GitHubService.tokenFileWatcher.stop();
+      GitHubService.tokenFileWatcher = null;
+    }
+
+    if (GitHubService.sharedTokenManager) {
+      await GitHubService.sharedTokenManager.close();
+      GitHubService.sharedTokenManager = null;
+    }
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -0,0 +1,119 @@
+/**
+ * In-process token state store. Used when no shared store is configured,
+ * and as a drop-in stand-in for RedisTokenStateStore in tests.
+ */
+class MemoryTokenStateStore {
+  constructor() {
+    this.states = new Map();
+    this.usage = new Map();
+    this.counter = 0;
+  }
+
+  getOrCreate(key) {
+    if (!this.states.has(key)) {
+      this.states.set(key, {
+        rateLimits: {},
+        isHealthy: true,
+        consecutiveErrors: 0,
+        quarantinedUntil: 0,
+        updatedAt: 0
+      });
+    }
+    return this.states.get(key);
+  }
+
+  /**
+   * Get the shared state of a token, or null if nothing is known yet
+   */
+  async getState(key) {
+    const state = this.states.get(key);
+    if (!state) {
+      return null;
+    }
+
+    return {
+      rateLimits: JSON.parse(JSON.stringify(state.rateLimits)),
+      isHealthy: state.isHealthy,
+      consecutiveErrors: state.consecutiveErrors,
+      quarantinedUntil: state.quarantinedUntil,
+      updatedAt: state.updatedAt
+    };
+  }
+
+  /**
+   * Replace the known quota of a token with fresh values from GitHub
+   */
+  async setRateLimits(key, rateLimits) {
+    const state = this.getOrCreate(key);
+
+    for (const [apiType, { remaining, reset, limit }] of Object.entries(rateLimits)) {
+      state.rateLimits[apiType] = { remaining, reset, limit };
+    }
+    state.updatedAt = Date.now();
+  }
+
+  /**
+   * Record the health of a token
+   */
+  async setHealth(key, { isHealthy, consecutiveErrors, quarantinedUntil = 0 }) {
+    const state = this.getOrCreate(key);
+    state.isHealthy = isHealthy;
+    state.consecutiveErrors = consecutiveErrors;
+    state.quarantinedUntil = quarantinedUntil;
+  }
+
+  /**
+   * Atomically take one unit of quota from a token.
+   * Returns the remaining quota, 0-based, or null if the token is exhausted.
+   * Returns undefined if the quota for this API type has never been recorded.
+   */
+  async reserve(key, apiType) {
+    const rateLimit = this.states.get(key)?.rateLimits[apiType];
+    if (!rateLimit) {
+      return undefined;
+    }
+
+    if (rateLimit.remaining <= 0) {
+      return null;
+    }
+
+    rateLimit.remaining--;
+    return rateLimit.remaining;
+  }
+
+  /**
+   * Get the next round-robin starting position
+   */
+  async nextIndex(size) {
+    const index = this.counter % size;
+    this.counter++;
+    return index;
+  }
+
+  /**
+   * Add to a consumer's usage of an API type within a budget window,
+   * returning the new total
+   */
+  async addUsage(consumer, apiType, windowStart, delta) {
+    const key = `${consumer}:${apiType}:${windowStart}`;
+    const used = (this.usage.get(key) || 0) + delta;
+
+    // Only the current window is ever read, drop older ones
+    for (const existing of this.usage.keys()) {
+      if (!existing.endsWith(`:${windowStart}`)) {
+        this.usage.delete(existing);
+      }
+    }
+
+    this.usage.set(key, used);
+    return used;
+  }
+
+  async getUsage(consumer, apiType, windowStart) {
+    return this.usage.get(`${consumer}:${apiType}:${windowStart}`) || 0;
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryTokenStateStore;
@@ -0,0 +1,102 @@
+const logger = require('../../utils/logger');
+
+/**
+ * Caps how much of the token pool a consumer (a worker) may use per window,
+ * e.g. `{ discovery: { core: 0.4 } }` keeps discovery to 40% of core quota
+ * per hour. Usage is counted in the token state store, so budgets hold
+ * across replicas that share a store.
+ */
+class QuotaBudgets {
+  constructor({ budgets = {}, windowMs, stateStore, getCapacity }) {
+    this.budgets = budgets;
+    this.windowMs = windowMs;
+    this.stateStore = stateStore;
+    this.getCapacity = getCapacity;
+  }
+
+  getWindowStart(now = Date.now()) {
+    return Math.floor(now / this.windowMs) * this.windowMs;
+  }
+
+  /**
+   * Number of requests a consumer may make for an API type in one window,
+   * or null if it has no budget for that type
+   */
+  getLimit(consumer, apiType) {
+    const share = this.budgets[consumer]?.[apiType];
+    if (share === undefined) {
+      return null;
+    }
+
+    // A non-zero share always allows at least one request per window
+    const limit = Math.floor(this.getCapacity(apiType, this.windowMs) * share);
+    return share > 0 ? Math.max(1, limit) : 0;
+  }
+
+  /**
+   * Take one request from a consumer's budget, waiting for the next window
+   * if the budget is used up
+   */
+  async acquire(consumer, apiType) {
+    while (true) {
+      const limit = this.getLimit(consumer, apiType);
+      if (limit === null) {
+        return;
+      }
+
+      const windowStart = this.getWindowStart();
+      const used = await this.stateStore.addUsage(consumer, apiType, windowStart, 1);
+
+      if (used <= limit) {
+        return;
+      }
+
+      // Give the unit back so the reported usage stays accurate
+      await this.stateStore.addUsage(consumer, apiType, windowStart, -1);
+
+      const waitTime = windowStart + this.windowMs - Date.now();
+
+      logger.warn({
+        consumer,
+        apiType,
+        limit,
+        waitTime
+      }, 'Quota budget exhausted, waiting for next window');
+
+      await this.sleep(waitTime);
+    }
+  }
+
+  /**
+   * Report usage against every configured budget
+   */
+  async getStatus() {
+    const windowStart = this.getWindowStart();
+    const status = {};
+
+    for (const [consumer, shares] of Object.entries(this.budgets)) {
+      status[consumer] = {};
+
+      for (const [apiType, share] of Object.entries(shares)) {
+        const limit = this.getLimit(consumer, apiType);
+        const used = await this.stateStore.getUsage(consumer, apiType, windowStart);
+
+        status[consumer][apiType] = {
+          share,
+          limit,
+          used,
+          remaining: Math.max(0, limit - used),
+          windowResetsAt: new Date(windowStart + this.windowMs).toISOString()
+        };
+      }
+    }
+
+    return status;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = QuotaBudgets;
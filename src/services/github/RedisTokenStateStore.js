@@ -0,0 +1,159 @@
+const Redis = require('ioredis');
+const logger = require('../../utils/logger');
+
+// Take one unit of quota if any is left: >= 0 remaining, -1 exhausted, -2 unknown
+const RESERVE_SCRIPT = `
+local remaining = redis.call('HGET', KEYS[1], ARGV[1] .. ':remaining')
+if not remaining then
+  return -2
+end
+if tonumber(remaining) <= 0 then
+  return -1
+end
+return redis.call('HINCRBY', KEYS[1], ARGV[1] .. ':remaining', -1)
+`;
+
+// Forget tokens that no replica has touched for a while
+const STATE_TTL_SECONDS = 2 * 60 * 60;
+
+/**
+ * Token state store shared by every collector replica through Redis,
+ * so quota, reset times and health hold across the whole cluster.
+ */
+class RedisTokenStateStore {
+  constructor({ redis, keyPrefix }) {
+    this.keyPrefix = keyPrefix;
+    this.client = new Redis({
+      host: redis.host,
+      port: redis.port,
+      password: redis.password,
+      db: redis.db
+    });
+
+    this.client.defineCommand('reserveQuota', {
+      numberOfKeys: 1,
+      lua: RESERVE_SCRIPT
+    });
+
+    this.client.on('error', (error) => {
+      logger.error({ error: error.message }, 'Token state store connection error');
+    });
+  }
+
+  stateKey(key) {
+    return `${this.keyPrefix}:${key}`;
+  }
+
+  /**
+   * Get the shared state of a token, or null if nothing is known yet
+   */
+  async getState(key) {
+    const fields = await this.client.hgetall(this.stateKey(key));
+    if (!fields || Object.keys(fields).length === 0) {
+      return null;
+    }
+
+    const rateLimits = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const [apiType, property] = field.split(':');
+      if (!property) {
+        continue;
+      }
+      rateLimits[apiType] = rateLimits[apiType] || {};
+      rateLimits[apiType][property] = parseInt(value);
+    }
+
+    return {
+      rateLimits,
+      isHealthy: fields.healthy !== '0',
+      consecutiveErrors: parseInt(fields.consecutiveErrors || '0'),
+      quarantinedUntil: parseInt(fields.quarantinedUntil || '0'),
+      updatedAt: parseInt(fields.updatedAt || '0')
+    };
+  }
+
+  /**
+   * Replace the known quota of a token with fresh values from GitHub
+   */
+  async setRateLimits(key, rateLimits) {
+    const fields = { updatedAt: Date.now() };
+
+    for (const [apiType, { remaining, reset, limit }] of Object.entries(rateLimits)) {
+      fields[`${apiType}:remaining`] = remaining;
+      fields[`${apiType}:reset`] = reset;
+      fields[`${apiType}:limit`] = limit;
+    }
+
+    await this.client
+      .multi()
+      .hset(this.stateKey(key), fields)
+      .expire(this.stateKey(key), STATE_TTL_SECONDS)
+      .exec();
+  }
+
+  /**
+   * Record the health of a token
+   */
+  async setHealth(key, { isHealthy, consecutiveErrors, quarantinedUntil = 0 }) {
+    await this.client
+      .multi()
+      .hset(this.stateKey(key), {
+        healthy: isHealthy ? '1' : '0',
+        consecutiveErrors,
+        quarantinedUntil
+      })
+      .expire(this.stateKey(key), STATE_TTL_SECONDS)
+      .exec();
+  }
+
+  /**
+   * Atomically take one unit of quota from a token.
+   * Returns the remaining quota, 0-based, or null if the token is exhausted.
+   * Returns undefined if the quota for this API type has never been recorded.
+   */
+  async reserve(key, apiType) {
+    const result = await this.client.reserveQuota(this.stateKey(key), apiType);
+
+    if (result === -2) {
+      return undefined;
+    }
+    if (result === -1) {
+      return null;
+    }
+    return result;
+  }
+
+  /**
+   * Get the next round-robin starting position, shared across replicas
+   */
+  async nextIndex(size) {
+    const counter = await this.client.incr(`${this.keyPrefix}:rotation`);
+    return (counter - 1) % size;
+  }
+
+  /**
+   * Add to a consumer's usage of an API type within a budget window,
+   * returning the new total
+   */
+  async addUsage(consumer, apiType, windowStart, delta) {
+    const key = `${this.keyPrefix}:usage:${consumer}:${apiType}:${windowStart}`;
+    const [[, used]] = await this.client
+      .multi()
+      .incrby(key, delta)
+      .expire(key, STATE_TTL_SECONDS)
+      .exec();
+
+    return used;
+  }
+
+  async getUsage(consumer, apiType, windowStart) {
+    const used = await this.client.get(`${this.keyPrefix}:usage:${consumer}:${apiType}:${windowStart}`);
+    return parseInt(used || '0');
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisTokenStateStore;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * Conditional-request cache for GitHub REST calls. Responses of configured
+ * GET routes are stored with their ETag or Last-Modified value, later calls
+ * send If-None-Match / If-Modified-Since, and a 304 is answered from the
+ * cache. GitHub does not charge quota for 304s.
+ *
+ * The store is the DatabaseService, so the cache survives restarts. Store
+ * failures never fail a request, they only skip the cache.
+ */
+class ResponseCache {
+  constructor({ store, endpoints = {}, maxEntryBytes = 1024 * 1024 }) {
+    this.store = store;
+    this.endpoints = endpoints;
+    this.maxEntryBytes = maxEntryBytes;
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      skipped: 0,
+      errors: 0
+    };
+  }
+
+  /**
+   * Route every request of an octokit instance through the cache
+   */
+  attach(octokit) {
+    octokit.hook.wrap('request', async (request, options) => {
+      return await this.request(request, options, octokit.request.endpoint);
+    });
+  }
+
+  getCacheKey(method, url, accept = '') {
+    return crypto.createHash('sha256').update(`${method} ${url} ${accept}`).digest('hex');
+  }
+
+  async request(request, options, endpoint) {
+    const route = `${options.method} ${options.url}`;
+    const policy = this.endpoints[route];
+
+    if (!policy) {
+      return await request(options);
+    }
+
+    const { url, headers } = endpoint(options);
+    const cacheKey = this.getCacheKey(options.method, url, headers.accept);
+    const cached = await this.lookup(cacheKey, policy);
+
+    if (cached) {
+      options.headers = { ...options.headers };
+
+      if (cached.etag) {
+        options.headers['if-none-match'] = cached.etag;
+      } else {
+        options.headers['if-modified-since'] = cached.lastModified;
+      }
+    }
+
+    let response;
+    try {
+      response = await request(options);
+    } catch (error) {
+      if (error.status !== 304 || !cached) {
+        throw error;
+      }
+
+      this.stats.hits++;
+      logger.debug({ route, url }, 'Response served from cache');
+      await this.touch(cacheKey);
+
+      return {
+        status: 200,
+        url,
+        headers: { ...cached.headers, ...error.response.headers },
+        data: cached.data
+      };
+    }
+
+    this.stats.misses++;
+    await this.save(cacheKey, route, url, response);
+    return response;
+  }
+
+  async lookup(cacheKey, policy) {
+    try {
+      return await this.store.getCachedResponse(cacheKey, new Date(Date.now() - policy.ttlMs));
+    } catch (error) {
+      this.stats.errors++;
+      return null;
+    }
+  }
+
+  async touch(cacheKey) {
+    try {
+      await this.store.touchCachedResponse(cacheKey);
+    } catch (error) {
+      this.stats.errors++;
+    }
+  }
+
+  async save(cacheKey, endpoint, url, response) {
+    const etag = response.headers.etag;
+    const lastModified = response.headers['last-modified'];
+
+    // Stats endpoints answer 202 while GitHub is still computing
+    if (response.status !== 200 || (!etag && !lastModified)) {
+      return;
+    }
+
+    const size = Buffer.byteLength(JSON.stringify(response.data));
+    if (size > this.maxEntryBytes) {
+      this.stats.skipped++;
+      logger.debug({ endpoint, url, size }, 'Response too large to cache');
+      return;
+    }
+
+    try {
+      await this.store.saveCachedResponse({
+        cacheKey,
+        endpoint,
+        url,
+        etag,
+        lastModified,
+        // 304s do not repeat pagination links
+        headers: response.headers.link ? { link: response.headers.link } : {},
+        data: response.data,
+        size
+      });
+    } catch (error) {
+      this.stats.errors++;
+    }
+  }
+
+  /**
+   * Report hit rates since startup
+   */
+  getStats() {
+    const requests = this.stats.hits + this.stats.misses;
+
+    return {
+      ...this.stats,
+      hitRate: requests > 0 ? this.stats.hits / requests : 0
+    };
+  }
+}
+
+module.exports = ResponseCache;
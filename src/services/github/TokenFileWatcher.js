@@ -0,0 +1,72 @@
+const fs = require('fs');
+const logger = require('../../utils/logger');
+
+/**
+ * Loads extra credentials from a secrets file and keeps the token pool in
+ * sync with it while the process runs.
+ *
+ * The file holds either one PAT per line (`#` starts a comment), or JSON:
+ * `{ "tokens": ["ghp_..."], "apps": [{ "appId", "installationId", "privateKey" | "privateKeyPath" }] }`
+ */
+class TokenFileWatcher {
+  constructor(tokenManager, filePath, { intervalMs = 10000 } = {}) {
+    this.tokenManager = tokenManager;
+    this.filePath = filePath;
+    this.intervalMs = intervalMs;
+    this.onChange = () => this.load();
+  }
+
+  /**
+   * Parse the secrets file into PATs and App credentials
+   */
+  read() {
+    const content = fs.readFileSync(this.filePath, 'utf8').trim();
+
+    if (content.startsWith('{') || content.startsWith('[')) {
+      const parsed = JSON.parse(content);
+      const tokens = Array.isArray(parsed) ? parsed : (parsed.tokens || []);
+      const apps = (parsed.apps || []).map(app => ({
+        appId: app.appId,
+        installationId: app.installationId,
+        privateKey: app.privateKeyPath ? fs.readFileSync(app.privateKeyPath, 'utf8') : app.privateKey
+      }));
+
+      return { tokens, apps };
+    }
+
+    const tokens = content
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+
+    return { tokens, apps: [] };
+  }
+
+  /**
+   * Apply the current file content to the token pool
+   */
+  load() {
+    try {
+      const credentials = this.read();
+      const result = this.tokenManager.syncTokens('file', credentials);
+
+      logger.info({ filePath: this.filePath, ...result }, 'Tokens loaded from secrets file');
+      return result;
+    } catch (error) {
+      // Keep the current pool when the file is missing or half-written
+      logger.error({ filePath: this.filePath, error: error.message }, 'Failed to load tokens file');
+      return null;
+    }
+  }
+
+  start() {
+    this.load();
+    fs.watchFile(this.filePath, { interval: this.intervalMs, persistent: false }, this.onChange);
+  }
+
+  stop() {
+    fs.unwatchFile(this.filePath, this.onChange);
+  }
+}
+
+module.exports = TokenFileWatcher;
@@ -2,51 +2,85 @@ const { Octokit } = require('@octokit/core');
 const { restEndpointMethods } = require('@octokit/plugin-rest-endpoint-methods');
 const { retry } = require('@octokit/plugin-retry');
 const { throttling } = require('@octokit/plugin-throttling');
+const crypto = require('crypto');
+const GitHubAppAuth = require('./GitHubAppAuth');
+const MemoryTokenStateStore = require('./MemoryTokenStateStore');
+const TokenScheduler = require('./TokenScheduler');
+const QuotaBudgets = require('./QuotaBudgets');
+const TokenUsageTracker = require('./TokenUsageTracker');
 const logger = require('../../utils/logger');
+const config = require('../../config');
 
 const MyOctokit = Octokit.plugin(restEndpointMethods, retry, throttling);
 
 class TokenManager {
-  constructor(tokens) {
-    if (!tokens || tokens.length === 0) {
-      throw new Error('No GitHub tokens provided');
+  constructor(tokens = [], apps = [], { stateStore, responseCache } = {}) {
+    this.tokens = [];
+    this.nextTokenId = 0;
+
+    // Quota, reset times and health live in the state store so that
+    // replicas sharing a store make decisions that hold cluster-wide
+    this.stateStore = stateStore || new MemoryTokenStateStore();
+
+    // Optional ETag cache shared by every token's client
+    this.responseCache = responseCache;
+
+    this.scheduler = new TokenScheduler({
+      tryAcquire: (apiType) => this.tryAcquireToken(apiType),
+      getAvailability: (apiType) => this.getAvailability(apiType)
+    });
+
+    this.usage = new TokenUsageTracker();
+
+    this.budgets = new QuotaBudgets({
+      budgets: config.github.budgets,
+      windowMs: config.github.budgetWindowMs,
+      stateStore: this.stateStore,
+      getCapacity: (apiType, windowMs) => this.getCapacity(apiType, windowMs)
+    });
+
+    tokens.forEach((token, index) => this.addToken({ token, label: `pat-${index + 1}` }));
+    apps.forEach(app => this.addToken({ app }));
+
+    logger.info({
+      tokenCount: this.tokens.length,
+      patCount: tokens.length,
+      appCount: apps.length
+    }, 'TokenManager initialized');
+  }
+
+  /**
+   * Add a PAT (`token`) or GitHub App installation (`app`) to the pool.
+   * Adding a credential that is already in the pool returns the existing entry.
+   */
+  addToken({ token, app, label, source = 'config' }) {
+    if (!token && !app) {
+      throw new Error('A token or GitHub App credential is required');
     }
 
-    this.tokens = tokens.map((token, index) => ({
-      id: index,
-      token,
-      octokit: new MyOctokit({
-        auth: token,
-        throttle: {
-          onRateLimit: (retryAfter, options, octokit, retryCount) => {
-            logger.warn({
-              tokenId: index,
-              retryAfter,
-              retryCount,
-              method: options.method,
-              url: options.url
-            }, 'Rate limit hit');
-
-            // Retry once after rate limit
-            if (retryCount < 1) {
-              logger.info({ tokenId: index, retryAfter }, 'Retrying after rate limit');
-              return true;
-            }
-            return false;
-          },
-          onSecondaryRateLimit: (retryAfter, options, octokit) => {
-            logger.warn({
-              tokenId: index,
-              retryAfter,
-              method: options.method,
-              url: options.url
-            }, 'Secondary rate limit hit');
-          }
-        },
-        retry: {
-          doNotRetry: ['429'] // Handle rate limits ourselves
-        }
-      }),
+    const key = token
+      ? `pat-${crypto.createHash('sha256').update(token).digest('hex').slice(0, 16)}`
+      : `app-${app.appId}-${app.installationId}`;
+
+    const existing = this.tokens.find(t => t.key === key);
+    if (existing) {
+      return existing;
+    }
+
+    const id = this.nextTokenId++;
+    const credential = token
+      ? { type: 'pat', token }
+      : { type: 'app', appAuth: new GitHubAppAuth({ ...app, baseUrl: config.github.apiUrl }) };
+
+    const entry = {
+      id,
+      type: credential.type,
+      label: label || (token ? `pat-${id + 1}` : `app-${app.appId}/${app.installationId}`),
+      key,
+      source,
+      token: credential.token,
+      appAuth: credential.appAuth,
+      octokit: this.createOctokit(credential, id),
       rateLimits: {
         core: { remaining: 5000, reset: 0, limit: 5000 },
         search: { remaining: 30, reset: 0, limit: 30 },
@@ -54,31 +88,229 @@ class TokenManager {
         integration_manifest: { remaining: 5000, reset: 0, limit: 5000 },
         code_search: { remaining: 10, reset: 0, limit: 10 }
       },
+      rateLimitsUpdatedAt: 0,
       lastUsed: 0,
       isHealthy: true,
-      consecutiveErrors: 0
-    }));
+      isDisabled: false,
+      consecutiveErrors: 0,
+      quarantinedUntil: 0,
+      quarantineCount: 0,
+      probeTimer: null
+    };
+
+    this.trackRateLimitHeaders(entry);
+    this.tokens.push(entry);
+    this.scheduler.wakeAll();
+
+    logger.info({ tokenId: id, label: entry.label, type: entry.type, source }, 'Token added');
+
+    return entry;
+  }
+
+  /**
+   * Remove a token from the pool
+   */
+  removeToken(id) {
+    const token = this.getToken(id);
+
+    clearTimeout(token.probeTimer);
+    this.tokens = this.tokens.filter(t => t !== token);
+
+    logger.info({ tokenId: id, label: token.label }, 'Token removed');
+    return token;
+  }
+
+  /**
+   * Stop handing out a token until it is enabled again
+   */
+  disableToken(id) {
+    const token = this.getToken(id);
+    token.isDisabled = true;
+
+    logger.info({ tokenId: id, label: token.label }, 'Token disabled');
+    return token;
+  }
+
+  /**
+   * Hand out a previously disabled token again
+   */
+  enableToken(id) {
+    const token = this.getToken(id);
+    token.isDisabled = false;
+    this.scheduler.wakeAll();
+
+    logger.info({ tokenId: id, label: token.label }, 'Token enabled');
+    return token;
+  }
+
+  /**
+   * Bring the tokens loaded from one source in line with a new list,
+   * adding credentials that are new and removing the ones that are gone
+   */
+  syncTokens(source, { tokens = [], apps = [] }) {
+    const wanted = [
+      ...tokens.map(token => this.addToken({ token, source })),
+      ...apps.map(app => this.addToken({ app, source }))
+    ];
+
+    const stale = this.tokens.filter(t => t.source === source && !wanted.includes(t));
+    stale.forEach(t => this.removeToken(t.id));
 
-    this.currentIndex = 0;
-    this.rotationLock = false;
+    return { added: wanted.length, removed: stale.length };
+  }
 
-    logger.info({ tokenCount: this.tokens.length }, 'TokenManager initialized');
+  getToken(id) {
+    const token = this.tokens.find(t => t.id === Number(id));
+    if (!token) {
+      const error = new Error(`Token ${id} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return token;
+  }
+
+  /**
+   * Describe a token without exposing its secret
+   */
+  describeToken(token) {
+    return {
+      tokenId: token.id,
+      type: token.type,
+      label: token.label,
+      source: token.source,
+      isHealthy: token.isHealthy,
+      isDisabled: token.isDisabled,
+      consecutiveErrors: token.consecutiveErrors,
+      quarantinedUntil: token.quarantinedUntil ? new Date(token.quarantinedUntil).toISOString() : null
+    };
+  }
+
+  listTokens() {
+    return this.tokens.map(token => this.describeToken(token));
+  }
+
+  /**
+   * Create an Octokit client for a PAT or GitHub App installation
+   */
+  createOctokit(credential, id) {
+    const octokit = new MyOctokit({
+      baseUrl: config.github.apiUrl,
+      auth: credential.type === 'pat' ? credential.token : undefined,
+      throttle: {
+        enabled: config.github.throttleEnabled,
+        onRateLimit: (retryAfter, options, octokit, retryCount) => {
+          logger.warn({
+            tokenId: id,
+            retryAfter,
+            retryCount,
+            method: options.method,
+            url: options.url
+          }, 'Rate limit hit');
+
+          // Retry once after rate limit
+          if (retryCount < 1) {
+            logger.info({ tokenId: id, retryAfter }, 'Retrying after rate limit');
+            return true;
+          }
+          return false;
+        },
+        onSecondaryRateLimit: (retryAfter, options, octokit) => {
+          logger.warn({
+            tokenId: id,
+            retryAfter,
+            method: options.method,
+            url: options.url
+          }, 'Secondary rate limit hit');
+        }
+      },
+      retry: {
+        // Handle rate limits ourselves, and quarantine rejected tokens without retrying
+        doNotRetry: [401, 429]
+      }
+    });
+
+    // Installation tokens are minted lazily and refreshed before they expire
+    if (credential.type === 'app') {
+      credential.appAuth.attach(octokit);
+    }
+
+    if (this.responseCache) {
+      this.responseCache.attach(octokit);
+    }
+
+    return octokit;
+  }
+
+  /**
+   * Keep quota up to date from the x-ratelimit-* headers of every response,
+   * including error responses such as 403s for exhausted quota
+   */
+  trackRateLimitHeaders(token) {
+    token.octokit.hook.after('request', async (response) => {
+      await this.recordRateLimitHeaders(token, response.headers);
+    });
+
+    token.octokit.hook.error('request', async (error) => {
+      if (error.response) {
+        await this.recordRateLimitHeaders(token, error.response.headers);
+      }
+
+      // Revoked or expired credentials are taken out of rotation right away
+      if (error.status === 401) {
+        await this.quarantineToken(token, error.message);
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Update the quota of one resource from response headers
+   */
+  async recordRateLimitHeaders(token, headers = {}) {
+    const resource = headers['x-ratelimit-resource'];
+    const remaining = headers['x-ratelimit-remaining'];
+
+    if (!resource || remaining === undefined) {
+      return;
+    }
+
+    const rateLimit = {
+      remaining: parseInt(remaining),
+      reset: parseInt(headers['x-ratelimit-reset'] || '0'),
+      limit: parseInt(headers['x-ratelimit-limit'] || '0')
+    };
+
+    token.rateLimits[resource] = { ...token.rateLimits[resource], ...rateLimit };
+    token.rateLimitsUpdatedAt = Date.now();
+
+    await this.stateStore.setRateLimits(token.key, { [resource]: rateLimit });
   }
 
   /**
    * Get rate limit info for a specific token
    */
-  async updateRateLimits(tokenIndex) {
+  async updateRateLimits(token) {
     try {
-      const token = this.tokens[tokenIndex];
       const response = await token.octokit.request('GET /rate_limit');
 
+      if (token.quarantinedUntil) {
+        logger.info({ tokenId: token.id, label: token.label }, 'Quarantined token recovered');
+      }
+
+      clearTimeout(token.probeTimer);
       token.rateLimits = response.data.resources;
+      token.rateLimitsUpdatedAt = Date.now();
       token.isHealthy = true;
       token.consecutiveErrors = 0;
+      token.quarantinedUntil = 0;
+      token.quarantineCount = 0;
+      token.probeTimer = null;
+
+      await this.stateStore.setRateLimits(token.key, token.rateLimits);
+      await this.stateStore.setHealth(token.key, token);
 
       logger.debug({
-        tokenId: tokenIndex,
+        tokenId: token.id,
         core: token.rateLimits.core.remaining,
         search: token.rateLimits.search.remaining,
         codeSearch: token.rateLimits.code_search.remaining
@@ -87,13 +319,15 @@ class TokenManager {
       return token.rateLimits;
     } catch (error) {
       logger.error({
-        tokenId: tokenIndex,
+        tokenId: token.id,
         error: error.message
       }, 'Failed to update rate limits');
 
-      this.tokens[tokenIndex].consecutiveErrors++;
-      if (this.tokens[tokenIndex].consecutiveErrors >= 3) {
-        this.tokens[tokenIndex].isHealthy = false;
+      token.consecutiveErrors++;
+      if (token.consecutiveErrors >= 3 && !token.probeTimer) {
+        await this.quarantineToken(token, error.message);
+      } else {
+        await this.stateStore.setHealth(token.key, token);
       }
 
       return null;
@@ -101,129 +335,277 @@ class TokenManager {
   }
 
   /**
-   * Find the best available token for a given API endpoint type
+   * Take a token out of rotation and re-probe it on an exponential backoff
    */
-  async getBestToken(apiType = 'core') {
-    // Wait if rotation is in progress
-    while (this.rotationLock) {
-      await this.sleep(100);
-    }
+  async quarantineToken(token, reason) {
+    const { quarantineBaseMs, quarantineMaxMs } = config.github;
+    const backoff = Math.min(quarantineBaseMs * 2 ** token.quarantineCount, quarantineMaxMs);
+
+    token.isHealthy = false;
+    token.quarantineCount++;
+    token.quarantinedUntil = Date.now() + backoff;
+
+    clearTimeout(token.probeTimer);
+    token.probeTimer = setTimeout(() => this.probeToken(token), backoff);
+    token.probeTimer.unref();
+
+    logger.warn({
+      tokenId: token.id,
+      label: token.label,
+      reason,
+      retryInMs: backoff
+    }, 'Token quarantined');
+
+    await this.stateStore.setHealth(token.key, token);
+  }
+
+  /**
+   * Check whether a quarantined token works again. Runs from a timer or in
+   * the background, so it never rejects: a token whose probe fails stays
+   * unhealthy and is probed again once its quarantine is over.
+   */
+  async probeToken(token) {
+    token.probeTimer = null;
 
-    this.rotationLock = true;
+    if (!this.tokens.includes(token)) {
+      return;
+    }
 
     try {
-      // First, try to find a token with available quota
-      for (let i = 0; i < this.tokens.length; i++) {
-        const index = (this.currentIndex + i) % this.tokens.length;
-        const token = this.tokens[index];
+      const rateLimits = await this.updateRateLimits(token);
 
-        if (!token.isHealthy) {
-          logger.debug({ tokenId: index }, 'Skipping unhealthy token');
-          continue;
-        }
+      // Failures other than 401 do not re-quarantine on their own
+      if (!rateLimits && !token.probeTimer) {
+        await this.quarantineToken(token, 'Probe failed');
+      }
 
-        // Update rate limits if they're stale (older than 1 minute)
-        const now = Date.now();
-        if (now - token.lastUsed > 60000) {
-          await this.updateRateLimits(index);
-        }
+      if (rateLimits) {
+        this.scheduler.wakeAll();
+      }
+    } catch (error) {
+      logger.error({ tokenId: token.id, error: error.message }, 'Token probe failed');
+    }
+  }
+
+  /**
+   * Pull the shared state of a token into its local copy
+   */
+  async syncTokenState(token) {
+    const state = await this.stateStore.getState(token.key);
+    if (!state) {
+      return;
+    }
+
+    Object.assign(token.rateLimits, state.rateLimits);
+    token.rateLimitsUpdatedAt = Math.max(token.rateLimitsUpdatedAt, state.updatedAt);
+    token.isHealthy = state.isHealthy;
+    token.consecutiveErrors = state.consecutiveErrors;
+    token.quarantinedUntil = state.quarantinedUntil || 0;
+  }
 
-        const rateLimit = token.rateLimits[apiType];
+  /**
+   * Take one unit of quota from a token, returning the remaining count or null
+   */
+  async reserveToken(token, apiType) {
+    const remaining = await this.stateStore.reserve(token.key, apiType);
 
-        if (rateLimit && rateLimit.remaining > 0) {
-          logger.debug({
-            tokenId: index,
-            apiType,
-            remaining: rateLimit.remaining
-          }, 'Selected token');
+    // Nothing recorded for this API type yet, trust the local defaults
+    if (remaining === undefined) {
+      const rateLimit = token.rateLimits[apiType];
+      return rateLimit && rateLimit.remaining > 0 ? rateLimit.remaining : null;
+    }
 
-          token.lastUsed = now;
-          this.currentIndex = (index + 1) % this.tokens.length;
+    if (remaining !== null && token.rateLimits[apiType]) {
+      token.rateLimits[apiType].remaining = remaining;
+    }
 
-          return {
-            octokit: token.octokit,
-            tokenId: index,
-            remaining: rateLimit.remaining
-          };
+    return remaining;
+  }
+
+  /**
+   * Try to find a token with quota for a given API endpoint type without waiting.
+   * Returns `{ token }` on success, or `{ retryAt }` when every token is exhausted.
+   */
+  async tryAcquireToken(apiType) {
+    const startIndex = await this.stateStore.nextIndex(this.tokens.length);
+
+    for (let i = 0; i < this.tokens.length; i++) {
+      const index = (startIndex + i) % this.tokens.length;
+      const token = this.tokens[index];
+
+      if (token.isDisabled) {
+        continue;
+      }
+
+      await this.syncTokenState(token);
+      const now = Date.now();
+
+      if (!token.isHealthy) {
+        // Another replica may have quarantined it, probe once its backoff is over
+        if (token.quarantinedUntil && token.quarantinedUntil <= now && !token.probeTimer) {
+          this.probeToken(token);
         }
 
-        // If rate limited, check if reset time has passed
-        if (rateLimit && rateLimit.reset * 1000 < now) {
-          await this.updateRateLimits(index);
+        logger.debug({ tokenId: token.id }, 'Skipping unhealthy token');
+        continue;
+      }
 
-          if (token.rateLimits[apiType].remaining > 0) {
-            token.lastUsed = now;
-            this.currentIndex = (index + 1) % this.tokens.length;
+      // Fall back to polling /rate_limit for tokens nobody in the cluster has used for a while
+      if (now - token.rateLimitsUpdatedAt > config.github.rateLimitPollIntervalMs) {
+        await this.updateRateLimits(token);
 
-            return {
-              octokit: token.octokit,
-              tokenId: index,
-              remaining: token.rateLimits[apiType].remaining
-            };
-          }
+        if (!token.isHealthy) {
+          continue;
         }
       }
 
-      // All tokens are rate limited, find the one that resets soonest
-      const resetTimes = this.tokens
-        .filter(t => t.isHealthy)
-        .map((t, idx) => ({
-          index: idx,
-          resetTime: t.rateLimits[apiType]?.reset * 1000 || Date.now()
-        }))
-        .sort((a, b) => a.resetTime - b.resetTime);
-
-      if (resetTimes.length === 0) {
-        throw new Error('No healthy tokens available');
+      let remaining = await this.reserveToken(token, apiType);
+
+      // If rate limited, check if reset time has passed
+      const rateLimit = token.rateLimits[apiType];
+      if (remaining === null && rateLimit && rateLimit.reset * 1000 < now) {
+        await this.updateRateLimits(token);
+        remaining = await this.reserveToken(token, apiType);
       }
 
-      const soonestReset = resetTimes[0];
-      const waitTime = Math.max(0, soonestReset.resetTime - Date.now()) + 1000;
+      if (remaining !== null) {
+        logger.debug({
+          tokenId: token.id,
+          apiType,
+          remaining
+        }, 'Selected token');
+
+        token.lastUsed = now;
+
+        return {
+          token: {
+            octokit: token.octokit,
+            tokenId: token.id,
+            tokenKey: token.key,
+            tokenLabel: token.label,
+            remaining
+          }
+        };
+      }
+    }
 
-      logger.warn({
-        apiType,
-        waitTime,
-        tokenId: soonestReset.index
-      }, 'All tokens rate limited, waiting for reset');
+    // All tokens are rate limited, retry when the first one resets
+    const resetTimes = this.tokens
+      .filter(t => t.isHealthy && !t.isDisabled)
+      .map(t => (t.rateLimits[apiType]?.reset || 0) * 1000)
+      .sort((a, b) => a - b);
 
-      await this.sleep(waitTime);
+    if (resetTimes.length === 0) {
+      throw new Error('No healthy tokens available');
+    }
 
-      // Update rate limits and return the token
-      await this.updateRateLimits(soonestReset.index);
-      const token = this.tokens[soonestReset.index];
-      token.lastUsed = Date.now();
+    return {
+      retryAt: Math.max(resetTimes[0], Date.now()) + 1000
+    };
+  }
 
-      return {
-        octokit: token.octokit,
-        tokenId: soonestReset.index,
-        remaining: token.rateLimits[apiType].remaining
-      };
+  /**
+   * Sum up the known quota of healthy tokens for an API type
+   */
+  async getAvailability(apiType) {
+    let remaining = 0;
+    let limit = 0;
+    let nextReset = Infinity;
+
+    for (const token of this.tokens) {
+      if (!token.isHealthy || token.isDisabled || !token.rateLimits[apiType]) {
+        continue;
+      }
 
-    } finally {
-      this.rotationLock = false;
+      const rateLimit = token.rateLimits[apiType];
+      remaining += Math.max(0, rateLimit.remaining);
+      limit += rateLimit.limit;
+      nextReset = Math.min(nextReset, rateLimit.reset * 1000);
     }
+
+    return {
+      remaining,
+      limit,
+      nextReset: Number.isFinite(nextReset) ? nextReset : Date.now()
+    };
+  }
+
+  /**
+   * Total quota the healthy pool provides for an API type over a period
+   */
+  getCapacity(apiType, periodMs) {
+    const windowMs = TokenScheduler.WINDOW_MS[apiType] || TokenScheduler.WINDOW_MS.core;
+    const limit = this.tokens
+      .filter(t => t.isHealthy && !t.isDisabled && t.rateLimits[apiType])
+      .reduce((sum, t) => sum + t.rateLimits[apiType].limit, 0);
+
+    return limit * (periodMs / windowMs);
+  }
+
+  /**
+   * Quota one token provides for an API type over a period, or null if the
+   * token is no longer in the pool
+   */
+  getTokenCapacity(tokenKey, apiType, periodMs) {
+    const token = this.tokens.find(t => t.key === tokenKey);
+    if (!token || !token.rateLimits[apiType]) {
+      return null;
+    }
+
+    const windowMs = TokenScheduler.WINDOW_MS[apiType] || TokenScheduler.WINDOW_MS.core;
+    return token.rateLimits[apiType].limit * (periodMs / windowMs);
+  }
+
+  /**
+   * Wait for the best available token for a given API endpoint type
+   */
+  async getBestToken(apiType = 'core', { priority } = {}) {
+    return await this.scheduler.acquire(apiType, { priority });
+  }
+
+  /**
+   * Estimate how long a request of the given priority would wait for a token, in ms
+   */
+  async estimateWait(apiType = 'core', { priority } = {}) {
+    return await this.scheduler.estimateWait(apiType, { priority });
   }
 
   /**
    * Execute a GitHub API request with automatic token rotation
    */
-  async execute(apiType, requestFn) {
+  async execute(apiType, requestFn, { priority, consumer } = {}) {
     let lastError;
-    const maxRetries = this.tokens.length;
+    const maxRetries = Math.max(1, this.tokens.length);
+
+    // One unit of budget per logical request, retries included
+    if (consumer) {
+      await this.budgets.acquire(consumer, apiType);
+    }
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        const { octokit, tokenId } = await this.getBestToken(apiType);
+      let lease = null;
 
-        const result = await requestFn(octokit);
+      try {
+        lease = await this.getBestToken(apiType, { priority });
 
-        // Update rate limits after successful request
-        await this.updateRateLimits(tokenId);
+        // Quota is tracked from the response headers by the octokit hooks
+        const result = await requestFn(lease.octokit);
 
+        this.recordUsage(lease, apiType);
         return result;
       } catch (error) {
         lastError = error;
 
+        if (lease) {
+          this.recordUsage(lease, apiType, error);
+        }
+
+        // The token was quarantined by the octokit hook, try another one
+        if (error.status === 401) {
+          logger.warn({ attempt, error: error.message }, 'Token rejected, rotating token');
+          continue;
+        }
+
         if (error.status === 403 && error.message.includes('rate limit')) {
           logger.warn({ attempt, error: error.message }, 'Rate limit error, rotating token');
           continue;
@@ -258,22 +640,46 @@ class TokenManager {
     throw lastError || new Error('All token rotation attempts failed');
   }
 
+  /**
+   * Count a request made with a leased token
+   */
+  recordUsage(lease, apiType, error) {
+    const isRateLimited = Boolean(error) &&
+      (error.status === 429 || (error.status === 403 && /rate limit/i.test(error.message)));
+
+    this.usage.record(lease, apiType, {
+      requests: 1,
+      errors: error ? 1 : 0,
+      rateLimitHits: isRateLimited ? 1 : 0,
+      rateLimitWaits: lease.waitedForReset ? 1 : 0,
+      rateLimitWaitMs: lease.waitedForReset ? lease.waitedMs : 0
+    });
+  }
+
   /**
    * Get health status of all tokens
    */
   async getHealthStatus() {
     const statuses = await Promise.all(
-      this.tokens.map(async (token, index) => {
-        await this.updateRateLimits(index);
+      this.tokens.map(async (token) => {
+        await this.syncTokenState(token);
+
+        // Quarantined tokens are only re-checked on their backoff schedule
+        const isStale = Date.now() - token.rateLimitsUpdatedAt > config.github.rateLimitPollIntervalMs;
+        if (token.isHealthy && !token.isDisabled && isStale) {
+          await this.updateRateLimits(token);
+        }
+
         return {
-          tokenId: index,
-          isHealthy: token.isHealthy,
-          consecutiveErrors: token.consecutiveErrors,
+          ...this.describeToken(token),
           rateLimits: {
             core: token.rateLimits.core,
             search: token.rateLimits.search,
             codeSearch: token.rateLimits.code_search
-          }
+          },
+          ...(token.appAuth && {
+            tokenExpiresAt: token.appAuth.expiresAt ? new Date(token.appAuth.expiresAt).toISOString() : null
+          })
         };
       })
     );
@@ -281,6 +687,15 @@ class TokenManager {
     return statuses;
   }
 
+  /**
+   * Release the connection to the shared state store
+   */
+  async close() {
+    this.tokens.forEach(token => clearTimeout(token.probeTimer));
+    this.scheduler.close();
+    await this.stateStore.close();
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -0,0 +1,107 @@
+const TokenManager = require('./TokenManager');
+const MemoryTokenStateStore = require('./MemoryTokenStateStore');
+
+/**
+ * Record a core quota for every token in the store, as the octokit hooks do
+ * from response headers, so no test ever polls /rate_limit
+ */
+async function recordQuota(manager, remaining) {
+  const reset = Math.floor(Date.now() / 1000) + 3600;
+
+  for (const token of manager.tokens) {
+    await manager.stateStore.setRateLimits(token.key, {
+      core: { remaining, reset, limit: 5000 }
+    });
+  }
+
+  return reset;
+}
+
+describe('TokenManager with MemoryTokenStateStore', () => {
+  const managers = [];
+
+  function createManager(tokens, stateStore) {
+    const manager = new TokenManager(tokens, [], { stateStore });
+    managers.push(manager);
+    return manager;
+  }
+
+  afterEach(async () => {
+    await Promise.all(managers.splice(0).map(manager => manager.close()));
+  });
+
+  test('trusts the local defaults until quota is recorded in the store', async () => {
+    const manager = createManager(['token-a'], new MemoryTokenStateStore());
+    const [token] = manager.tokens;
+
+    expect(await manager.reserveToken(token, 'core')).toBe(5000);
+    expect(await manager.stateStore.getState(token.key)).toBeNull();
+  });
+
+  test('reserves quota from the store and mirrors it into the local copy', async () => {
+    const manager = createManager(['token-a'], new MemoryTokenStateStore());
+    const [token] = manager.tokens;
+    await recordQuota(manager, 2);
+
+    expect(await manager.reserveToken(token, 'core')).toBe(1);
+    expect(token.rateLimits.core.remaining).toBe(1);
+    expect(await manager.reserveToken(token, 'core')).toBe(0);
+    expect(await manager.reserveToken(token, 'core')).toBeNull();
+    expect(token.rateLimits.core.remaining).toBe(0);
+  });
+
+  test('managers sharing a store never hand out the same unit of quota', async () => {
+    const stateStore = new MemoryTokenStateStore();
+    const first = createManager(['token-a'], stateStore);
+    const second = createManager(['token-a'], stateStore);
+    const reset = await recordQuota(first, 1);
+
+    const acquired = await first.tryAcquireToken('core');
+    expect(acquired.token).toMatchObject({ tokenKey: first.tokens[0].key, remaining: 0 });
+
+    // The second replica sees the reservation and waits for the reset
+    const exhausted = await second.tryAcquireToken('core');
+    expect(exhausted.token).toBeUndefined();
+    expect(exhausted.retryAt).toBe(reset * 1000 + 1000);
+  });
+
+  test('a probe that cannot reach the store does not reject', async () => {
+    const stateStore = new MemoryTokenStateStore();
+    const manager = createManager(['token-a'], stateStore);
+    const [token] = manager.tokens;
+
+    stateStore.setHealth = jest.fn().mockRejectedValue(new Error('Connection is closed.'));
+    token.octokit.request = jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'));
+    token.consecutiveErrors = 2;
+
+    await expect(manager.probeToken(token)).resolves.toBeUndefined();
+    expect(token.isHealthy).toBe(false);
+  });
+
+  test('counts budget once per request and usage once per attempt', async () => {
+    const manager = createManager(['token-a', 'token-b'], new MemoryTokenStateStore());
+    manager.budgets.budgets = { discovery: { core: 0.5 } };
+    await recordQuota(manager, 100);
+
+    const requestFn = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('API rate limit exceeded'), { status: 403 }))
+      .mockResolvedValueOnce({ data: 'ok' });
+
+    const result = await manager.execute('core', requestFn, { consumer: 'discovery' });
+
+    expect(result).toEqual({ data: 'ok' });
+    expect(requestFn).toHaveBeenCalledTimes(2);
+
+    const windowStart = manager.budgets.getWindowStart();
+    expect(await manager.stateStore.getUsage('discovery', 'core', windowStart)).toBe(1);
+
+    const rows = manager.usage.drain();
+    const totals = rows.reduce((sum, row) => ({
+      requests: sum.requests + row.requests,
+      errors: sum.errors + row.errors,
+      rateLimitHits: sum.rateLimitHits + row.rateLimitHits
+    }), { requests: 0, errors: 0, rateLimitHits: 0 });
+
+    expect(totals).toEqual({ requests: 2, errors: 1, rateLimitHits: 1 });
+  });
+});
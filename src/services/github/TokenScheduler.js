@@ -0,0 +1,220 @@
+const logger = require('../../utils/logger');
+
+// Lower value is served first
+const PRIORITIES = {
+  interactive: 0,
+  normal: 1,
+  bulk: 2
+};
+
+// How long a full quota window lasts for each API type
+const WINDOW_MS = {
+  core: 60 * 60 * 1000,
+  graphql: 60 * 60 * 1000,
+  search: 60 * 1000,
+  code_search: 60 * 1000
+};
+
+/**
+ * Hands out tokens to callers through one wait queue per API type.
+ * Queues are drained independently, so an exhausted `code_search` pool
+ * never holds up `core` callers. Within a queue, callers are served by
+ * priority, and waiting callers slowly gain priority so bulk work is not
+ * starved forever by a steady stream of interactive requests.
+ */
+class TokenScheduler {
+  constructor({ tryAcquire, getAvailability, agingMs = 30000 }) {
+    this.tryAcquire = tryAcquire;
+    this.getAvailability = getAvailability;
+    this.agingMs = agingMs;
+    this.queues = new Map();
+    this.sequence = 0;
+  }
+
+  getQueue(apiType) {
+    if (!this.queues.has(apiType)) {
+      this.queues.set(apiType, {
+        waiters: [],
+        draining: false,
+        timer: null,
+        retryAt: 0
+      });
+    }
+    return this.queues.get(apiType);
+  }
+
+  /**
+   * Wait for a token with quota for the given API type
+   */
+  acquire(apiType, { priority = 'normal' } = {}) {
+    return new Promise((resolve, reject) => {
+      this.getQueue(apiType).waiters.push({
+        priority: PRIORITIES[priority] ?? PRIORITIES.normal,
+        enqueuedAt: Date.now(),
+        sequence: this.sequence++,
+        resolve,
+        reject
+      });
+
+      this.drain(apiType);
+    });
+  }
+
+  effectivePriority(waiter, now) {
+    return waiter.priority - Math.floor((now - waiter.enqueuedAt) / this.agingMs);
+  }
+
+  /**
+   * Remove and return the waiter that should be served next
+   */
+  dequeue(queue) {
+    const now = Date.now();
+    let best = 0;
+
+    for (let i = 1; i < queue.waiters.length; i++) {
+      const candidate = queue.waiters[i];
+      const current = queue.waiters[best];
+      const candidatePriority = this.effectivePriority(candidate, now);
+      const currentPriority = this.effectivePriority(current, now);
+
+      if (candidatePriority < currentPriority ||
+        (candidatePriority === currentPriority && candidate.sequence < current.sequence)) {
+        best = i;
+      }
+    }
+
+    return queue.waiters.splice(best, 1)[0];
+  }
+
+  /**
+   * Serve waiters of one API type until the queue is empty or quota runs out
+   */
+  async drain(apiType) {
+    const queue = this.getQueue(apiType);
+
+    if (queue.draining || queue.timer) {
+      return;
+    }
+
+    queue.draining = true;
+
+    try {
+      while (queue.waiters.length > 0) {
+        const result = await this.tryAcquire(apiType);
+
+        if (result.token) {
+          const waiter = this.dequeue(queue);
+          waiter.resolve({
+            ...result.token,
+            waitedMs: Date.now() - waiter.enqueuedAt,
+            waitedForReset: Boolean(waiter.waitedForReset)
+          });
+          continue;
+        }
+
+        const waitTime = Math.max(0, result.retryAt - Date.now());
+        queue.retryAt = result.retryAt;
+        queue.waiters.forEach((waiter) => {
+          waiter.waitedForReset = true;
+        });
+
+        logger.warn({
+          apiType,
+          waitTime,
+          waiting: queue.waiters.length
+        }, 'All tokens rate limited, waiting for reset');
+
+        queue.timer = setTimeout(() => {
+          queue.timer = null;
+          this.drain(apiType);
+        }, waitTime);
+        break;
+      }
+    } catch (error) {
+      // Nothing can be served for this API type, fail everyone waiting on it
+      const waiters = queue.waiters.splice(0);
+      waiters.forEach(waiter => waiter.reject(error));
+    } finally {
+      queue.draining = false;
+    }
+  }
+
+  /**
+   * Retry a waiting queue right away, e.g. after tokens were added
+   */
+  wake(apiType) {
+    const queue = this.getQueue(apiType);
+
+    if (queue.timer) {
+      clearTimeout(queue.timer);
+      queue.timer = null;
+    }
+
+    this.drain(apiType);
+  }
+
+  /**
+   * Retry every waiting queue right away
+   */
+  wakeAll() {
+    for (const apiType of this.queues.keys()) {
+      this.wake(apiType);
+    }
+  }
+
+  /**
+   * Estimate how long a new caller with the given priority would wait, in ms
+   */
+  async estimateWait(apiType, { priority = 'normal' } = {}) {
+    const queue = this.getQueue(apiType);
+    const now = Date.now();
+    const ownPriority = PRIORITIES[priority] ?? PRIORITIES.normal;
+
+    const ahead = queue.waiters.filter(
+      waiter => this.effectivePriority(waiter, now) <= ownPriority
+    ).length;
+
+    const { remaining, limit, nextReset } = await this.getAvailability(apiType);
+
+    if (ahead < remaining) {
+      return 0;
+    }
+
+    // Every reset restores roughly one full window of quota across the pool
+    const windows = Math.ceil((ahead - remaining + 1) / Math.max(limit, 1));
+    const windowMs = WINDOW_MS[apiType] || WINDOW_MS.core;
+
+    return Math.max(0, nextReset - now) + (windows - 1) * windowMs;
+  }
+
+  /**
+   * Report queue lengths per API type
+   */
+  getQueueStatus() {
+    const status = {};
+
+    for (const [apiType, queue] of this.queues) {
+      status[apiType] = {
+        waiting: queue.waiters.length,
+        retryAt: queue.timer ? new Date(queue.retryAt).toISOString() : null
+      };
+    }
+
+    return status;
+  }
+
+  /**
+   * Stop waiting for resets
+   */
+  close() {
+    for (const queue of this.queues.values()) {
+      clearTimeout(queue.timer);
+      queue.timer = null;
+    }
+  }
+}
+
+TokenScheduler.PRIORITIES = PRIORITIES;
+TokenScheduler.WINDOW_MS = WINDOW_MS;
+
+module.exports = TokenScheduler;
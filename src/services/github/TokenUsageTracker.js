@@ -0,0 +1,59 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Accumulates per-token, per-API-type, per-hour request counters in memory
+ * until they are flushed to the database.
+ */
+class TokenUsageTracker {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Add counters for one token and API type to the current hour
+   */
+  record({ tokenKey, tokenLabel }, apiType, counters, now = Date.now()) {
+    const hour = new Date(Math.floor(now / HOUR_MS) * HOUR_MS);
+    const bucketKey = `${tokenKey}|${apiType}|${hour.getTime()}`;
+
+    if (!this.buckets.has(bucketKey)) {
+      this.buckets.set(bucketKey, {
+        tokenKey,
+        tokenLabel,
+        apiType,
+        hour,
+        requests: 0,
+        errors: 0,
+        rateLimitHits: 0,
+        rateLimitWaits: 0,
+        rateLimitWaitMs: 0
+      });
+    }
+
+    const bucket = this.buckets.get(bucketKey);
+    for (const [name, value] of Object.entries(counters)) {
+      bucket[name] += value;
+    }
+  }
+
+  /**
+   * Take all accumulated rows, leaving the tracker empty
+   */
+  drain() {
+    const rows = [...this.buckets.values()];
+    this.buckets.clear();
+    return rows;
+  }
+
+  /**
+   * Put rows back after a failed flush so they are retried next time
+   */
+  restore(rows) {
+    for (const row of rows) {
+      const { tokenKey, tokenLabel, apiType, hour, ...counters } = row;
+      this.record({ tokenKey, tokenLabel }, apiType, counters, hour.getTime());
+    }
+  }
+}
+
+module.exports = TokenUsageTracker;
@@ -0,0 +1,54 @@
+// `Co-authored-by: Name <email>` trailers, one per line
+const CO_AUTHOR_PATTERN = /^co-authored-by:\s*(.*?)\s*<([^>\s]+@[^>\s]+)>\s*$/gim;
+
+// 12345+login@users.noreply.github.com, or login@users.noreply.github.com for older accounts
+const NOREPLY_PATTERN = /^(?:\d+\+)?([a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\[bot\])?)@users\.noreply\.github\.com$/i;
+
+// Committer of commits made on github.com, shared by every user
+const WEB_FLOW_EMAIL = 'noreply@github.com';
+
+/**
+ * Emails are compared lowercased and trimmed
+ */
+function normalizeEmail(email) {
+  return email ? email.trim().toLowerCase() : null;
+}
+
+/**
+ * Co-authors credited in a commit message's trailers, without duplicates
+ * and without the commit's own author
+ */
+function parseCoAuthors(message, authorEmail = null) {
+  const coAuthors = new Map();
+
+  for (const match of (message || '').matchAll(CO_AUTHOR_PATTERN)) {
+    const email = normalizeEmail(match[2]);
+    if (email !== normalizeEmail(authorEmail) && !coAuthors.has(email)) {
+      coAuthors.set(email, { name: match[1] || null, email });
+    }
+  }
+
+  return [...coAuthors.values()];
+}
+
+/**
+ * GitHub login encoded in a noreply email, or null for any other address
+ */
+function noreplyLogin(email) {
+  const match = NOREPLY_PATTERN.exec(email || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether an email identifies a single person, unlike the web-flow committer
+ */
+function isPersonalEmail(email) {
+  return Boolean(email) && normalizeEmail(email) !== WEB_FLOW_EMAIL;
+}
+
+module.exports = {
+  normalizeEmail,
+  parseCoAuthors,
+  noreplyLogin,
+  isPersonalEmail
+};
@@ -0,0 +1,320 @@
+const { parseVersion } = require('./releases');
+
+// Dependency files by file name, with the registry their packages come from
+const DEPENDENCY_FILES = new Map([
+  ['Cargo.toml', { registry: 'cargo', source: 'manifest' }],
+  ['Cargo.lock', { registry: 'cargo', source: 'lockfile' }],
+  ['package.json', { registry: 'npm', source: 'manifest' }],
+  ['package-lock.json', { registry: 'npm', source: 'lockfile' }],
+  ['yarn.lock', { registry: 'npm', source: 'lockfile' }],
+  ['pnpm-lock.yaml', { registry: 'npm', source: 'lockfile' }],
+  ['pyproject.toml', { registry: 'pypi', source: 'manifest' }],
+  ['requirements.txt', { registry: 'pypi', source: 'manifest' }],
+  ['poetry.lock', { registry: 'pypi', source: 'lockfile' }]
+]);
+
+// Vendored and build output directories, whose manifests are not the repository's own
+const IGNORED_DIRECTORIES = /(^|\/)(node_modules|target|vendor|dist|build|\.git)\//;
+
+// Cargo tables listing dependencies, including per-target and workspace ones
+const CARGO_DEPENDENCY_TABLE = /^(workspace\.|target\..+\.)?(dev-|build-)?dependencies$/;
+
+/**
+ * Registry and kind (`manifest` or `lockfile`) of a dependency file,
+ * or null for any other path
+ */
+function dependencyFile(path) {
+  if (IGNORED_DIRECTORIES.test(path)) {
+    return null;
+  }
+
+  return DEPENDENCY_FILES.get(path.slice(path.lastIndexOf('/') + 1)) || null;
+}
+
+/**
+ * Lowest version a requirement such as `^0.29.0`, `=1.18.26` or
+ * `>=1.16, <1.19` allows. Git, path and workspace requirements have none.
+ */
+function versionFromRequirement(requirement) {
+  if (!requirement || /[:/]/.test(requirement)) {
+    return null;
+  }
+
+  const match = /\d+\.\d+(?:\.\d+)?(?:-[0-9A-Za-z.-]+)?/.exec(requirement);
+  const parsed = match && parseVersion(match[0]);
+  return parsed ? parsed.version : null;
+}
+
+/**
+ * PyPI names compare case-insensitively, with runs of `-`, `_` and `.` alike
+ */
+function normalizePypiName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+function unquote(value) {
+  return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+}
+
+/**
+ * Walk the `key = value` pairs of a TOML document with the table they
+ * belong to. Covers what manifests and lockfiles use: tables, arrays of
+ * tables, strings, inline tables and (multi-line) arrays of strings.
+ */
+function tomlEntries(content) {
+  const entries = [];
+  const lines = content.split(/\r?\n/);
+  let table = '';
+  let tableIndex = 0;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith('#')) {
+      continue;
+    }
+
+    const header = /^\[\[?\s*([^\]]+?)\s*\]\]?$/.exec(line);
+    if (header) {
+      table = header[1].split('.').map(unquote).join('.');
+      tableIndex++;
+      continue;
+    }
+
+    const pair = /^("[^"]+"|'[^']+'|[A-Za-z0-9_.-]+)\s*=\s*(.*)$/.exec(line);
+    if (!pair) {
+      continue;
+    }
+
+    let value = pair[2];
+    while (value.startsWith('[') && !value.replace(/"[^"]*"|'[^']*'/g, '').includes(']') && i + 1 < lines.length) {
+      value += ` ${lines[++i].trim()}`;
+    }
+
+    entries.push({ table, tableIndex, key: unquote(pair[1]), value: value.replace(/\s+#[^"']*$/, '') });
+  }
+
+  return entries;
+}
+
+function tomlString(value) {
+  const match = /^\s*("([^"]*)"|'([^']*)')/.exec(value);
+  return match ? (match[2] !== undefined ? match[2] : match[3]) : null;
+}
+
+function tomlInlineField(value, field) {
+  const match = new RegExp(`[{,]\\s*${field}\\s*=\\s*("([^"]*)"|'([^']*)')`).exec(value);
+  return match ? (match[2] !== undefined ? match[2] : match[3]) : null;
+}
+
+function tomlStringArray(value) {
+  return [...value.matchAll(/"([^"]*)"|'([^']*)'/g)].map(match => (match[1] !== undefined ? match[1] : match[2]));
+}
+
+/**
+ * `name = "version"` pairs of the `[[package]]` tables in Cargo.lock and poetry.lock
+ */
+function parseLockPackages(content) {
+  const packages = new Map();
+
+  tomlEntries(content)
+    .filter(entry => entry.table === 'package' && ['name', 'version'].includes(entry.key))
+    .forEach((entry) => {
+      const current = packages.get(entry.tableIndex) || {};
+      current[entry.key] = tomlString(entry.value);
+      packages.set(entry.tableIndex, current);
+    });
+
+  return [...packages.values()]
+    .filter(pkg => pkg.name && pkg.version)
+    .map(pkg => ({ packageName: pkg.name, requirement: null, version: pkg.version }));
+}
+
+function parseCargoManifest(content) {
+  const dependencies = [];
+
+  tomlEntries(content).forEach(({ table, key, value }) => {
+    // [dependencies] anchor-lang = "0.30.1" or = { version = "0.30.1", features = [...] }
+    if (CARGO_DEPENDENCY_TABLE.test(table)) {
+      const requirement = value.trim().startsWith('{') ? tomlInlineField(value, 'version') : tomlString(value);
+      const packageName = (value.trim().startsWith('{') && tomlInlineField(value, 'package')) || key;
+      dependencies.push({ packageName, requirement });
+      return;
+    }
+
+    // [dependencies.anchor-lang] version = "0.30.1"
+    const dotted = /^(.*dependencies)\.(.+)$/.exec(table);
+    if (dotted && CARGO_DEPENDENCY_TABLE.test(dotted[1]) && key === 'version') {
+      dependencies.push({ packageName: dotted[2], requirement: tomlString(value) });
+    }
+  });
+
+  return dependencies;
+}
+
+/**
+ * `solana[extras]>=0.30.2; python_version >= "3.8"` style requirements
+ */
+function parsePep508(spec) {
+  const match = /^\s*([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([^;#]*)/.exec(spec);
+  return match ? { packageName: match[1], requirement: match[2].trim() || null } : null;
+}
+
+function parsePyproject(content) {
+  const dependencies = [];
+
+  tomlEntries(content).forEach(({ table, key, value }) => {
+    // PEP 621: [project] dependencies = ["solana>=0.30"], and optional dependency groups
+    if ((table === 'project' && key === 'dependencies') || table === 'project.optional-dependencies') {
+      tomlStringArray(value).map(parsePep508).filter(Boolean).forEach(dep => dependencies.push(dep));
+      return;
+    }
+
+    // Poetry: [tool.poetry.dependencies] solana = "^0.30" or = { version = "^0.30" }
+    if (/^tool\.poetry\.(dev-dependencies|dependencies|group\..+\.dependencies)$/.test(table)) {
+      const requirement = value.trim().startsWith('{') ? tomlInlineField(value, 'version') : tomlString(value);
+      dependencies.push({ packageName: key, requirement });
+    }
+  });
+
+  return dependencies;
+}
+
+function parseRequirementsTxt(content) {
+  return content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('-'))
+    .map(parsePep508)
+    .filter(Boolean);
+}
+
+function parsePackageJson(content) {
+  const manifest = JSON.parse(content);
+  const dependencies = [];
+
+  ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies'].forEach((field) => {
+    Object.entries(manifest[field] || {}).forEach(([packageName, requirement]) => {
+      dependencies.push({ packageName, requirement: String(requirement) });
+    });
+  });
+
+  return dependencies;
+}
+
+function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+  const dependencies = [];
+
+  // lockfileVersion 2 and 3: "node_modules/a/node_modules/@scope/b": { version }
+  Object.entries(lock.packages || {}).forEach(([key, pkg]) => {
+    const index = key.lastIndexOf('node_modules/');
+    if (index !== -1 && pkg.version) {
+      dependencies.push({ packageName: key.slice(index + 'node_modules/'.length), requirement: null, version: pkg.version });
+    }
+  });
+
+  // lockfileVersion 1: nested "dependencies": { name: { version, dependencies } }
+  if (!lock.packages) {
+    const walk = (deps) => {
+      Object.entries(deps || {}).forEach(([packageName, pkg]) => {
+        if (pkg.version) {
+          dependencies.push({ packageName, requirement: null, version: pkg.version });
+        }
+        walk(pkg.dependencies);
+      });
+    };
+    walk(lock.dependencies);
+  }
+
+  return dependencies;
+}
+
+function parseYarnLock(content) {
+  const dependencies = [];
+  let packageName = null;
+
+  content.split(/\r?\n/).forEach((line) => {
+    // "@solana/web3.js@^1.68.0", "@solana/web3.js@^1.87.0": (berry adds npm: to the
+    // range and quotes the whole list once)
+    if (line && !/^\s/.test(line) && line.endsWith(':') && !line.startsWith('#')) {
+      const spec = line.slice(0, -1).split(',')[0].replace(/"/g, '').trim();
+      const at = spec.indexOf('@', 1);
+      packageName = at === -1 ? null : spec.slice(0, at);
+      return;
+    }
+
+    const version = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line);
+    if (version && packageName) {
+      dependencies.push({ packageName, requirement: null, version: version[1] });
+      packageName = null;
+    }
+  });
+
+  return dependencies;
+}
+
+function parsePnpmLock(content) {
+  const dependencies = [];
+
+  // v5 `/@solana/web3.js/1.87.6:`, v6 `/@solana/web3.js@1.87.6:`, v9 `'@solana/web3.js@1.87.6':`
+  content.split(/\r?\n/).forEach((line) => {
+    const match = /^ {2}'?\/?((?:@[^/\s']+\/)?[^@/\s':]+)[@/](\d[^(_:'\s]*)/.exec(line);
+    if (match) {
+      dependencies.push({ packageName: match[1], requirement: null, version: match[2] });
+    }
+  });
+
+  return dependencies;
+}
+
+const PARSERS = {
+  'Cargo.toml': parseCargoManifest,
+  'Cargo.lock': parseLockPackages,
+  'package.json': parsePackageJson,
+  'package-lock.json': parsePackageLock,
+  'yarn.lock': parseYarnLock,
+  'pnpm-lock.yaml': parsePnpmLock,
+  'pyproject.toml': parsePyproject,
+  'requirements.txt': parseRequirementsTxt,
+  'poetry.lock': parseLockPackages
+};
+
+/**
+ * Versions of the tracked packages a dependency file declares or locks.
+ * Manifests keep their requirement, with the lowest version it allows;
+ * lockfiles give the exact versions installed, possibly several per
+ * package. Dependencies without a usable version are left out.
+ * Throws when the file cannot be parsed.
+ */
+function parseDependencyFile(path, content, trackedPackages) {
+  const file = dependencyFile(path);
+  if (!file) {
+    return [];
+  }
+
+  const normalize = file.registry === 'pypi' ? normalizePypiName : name => name;
+  const tracked = new Map((trackedPackages[file.registry] || []).map(name => [normalize(name), name]));
+  const seen = new Set();
+
+  return PARSERS[path.slice(path.lastIndexOf('/') + 1)](content)
+    .map(dep => ({
+      registry: file.registry,
+      source: file.source,
+      packageName: tracked.get(normalize(dep.packageName)),
+      requirement: dep.requirement || null,
+      version: file.source === 'lockfile' ? (parseVersion(dep.version) || {}).version : versionFromRequirement(dep.requirement)
+    }))
+    .filter((dep) => {
+      const key = `${dep.packageName}@${dep.version}`;
+      if (!dep.packageName || !dep.version || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+module.exports = {
+  dependencyFile,
+  parseDependencyFile
+};
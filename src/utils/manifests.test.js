@@ -0,0 +1,211 @@
+const { dependencyFile, parseDependencyFile } = require('./manifests');
+
+const TRACKED = {
+  cargo: ['anchor-lang', 'solana-program'],
+  npm: ['@solana/web3.js', '@coral-xyz/anchor'],
+  pypi: ['solana', 'anchorpy']
+};
+
+function versions(dependencies) {
+  return dependencies.map(dep => `${dep.packageName}@${dep.version}`);
+}
+
+describe('dependencyFile', () => {
+  test('recognises manifests and lockfiles by file name', () => {
+    expect(dependencyFile('Cargo.toml')).toEqual({ registry: 'cargo', source: 'manifest' });
+    expect(dependencyFile('programs/vault/Cargo.lock')).toEqual({ registry: 'cargo', source: 'lockfile' });
+    expect(dependencyFile('app/yarn.lock')).toEqual({ registry: 'npm', source: 'lockfile' });
+    expect(dependencyFile('pnpm-lock.yaml')).toEqual({ registry: 'npm', source: 'lockfile' });
+    expect(dependencyFile('client/pyproject.toml')).toEqual({ registry: 'pypi', source: 'manifest' });
+  });
+
+  test('skips vendored directories and other files', () => {
+    expect(dependencyFile('node_modules/@solana/web3.js/package.json')).toBeNull();
+    expect(dependencyFile('target/debug/build/Cargo.toml')).toBeNull();
+    expect(dependencyFile('README.md')).toBeNull();
+    expect(dependencyFile('MyCargo.toml')).toBeNull();
+  });
+});
+
+describe('parseDependencyFile', () => {
+  test('reads Cargo.toml dependency tables in every form', () => {
+    const content = [
+      '[package]',
+      'name = "vault"',
+      'version = "0.1.0"',
+      '',
+      '[dependencies]',
+      'anchor-lang = { version = "0.30.1", features = ["init-if-needed"] }',
+      'spl-token = "4.0.0"',
+      '',
+      '[dev-dependencies.solana-program]',
+      'version = ">=1.16, <1.19"',
+      '',
+      '[target.\'cfg(not(target_os = "solana"))\'.dependencies]',
+      'program = { package = "anchor-lang", version = "^0.29.0" }',
+      '',
+      '[workspace.dependencies]',
+      'solana-program = { git = "https://github.com/solana-labs/solana" }'
+    ].join('\n');
+
+    expect(parseDependencyFile('programs/vault/Cargo.toml', content, TRACKED)).toEqual([
+      { registry: 'cargo', source: 'manifest', packageName: 'anchor-lang', requirement: '0.30.1', version: '0.30.1' },
+      { registry: 'cargo', source: 'manifest', packageName: 'solana-program', requirement: '>=1.16, <1.19', version: '1.16.0' },
+      { registry: 'cargo', source: 'manifest', packageName: 'anchor-lang', requirement: '^0.29.0', version: '0.29.0' }
+    ]);
+  });
+
+  test('reads every locked version of a package from Cargo.lock', () => {
+    const content = [
+      'version = 3',
+      '',
+      '[[package]]',
+      'name = "anchor-lang"',
+      'version = "0.29.0"',
+      'source = "registry+https://github.com/rust-lang/crates.io-index"',
+      'dependencies = [',
+      ' "solana-program",',
+      ']',
+      '',
+      '[[package]]',
+      'name = "solana-program"',
+      'version = "1.17.3"',
+      '',
+      '[[package]]',
+      'name = "solana-program"',
+      'version = "1.18.26"',
+      '',
+      '[[package]]',
+      'name = "borsh"',
+      'version = "0.10.3"'
+    ].join('\n');
+
+    const dependencies = parseDependencyFile('Cargo.lock', content, TRACKED);
+
+    expect(versions(dependencies)).toEqual(['anchor-lang@0.29.0', 'solana-program@1.17.3', 'solana-program@1.18.26']);
+    expect(dependencies.every(dep => dep.source === 'lockfile' && dep.requirement === null)).toBe(true);
+  });
+
+  test('reads yarn v1 lockfiles', () => {
+    const content = [
+      '# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+      '# yarn lockfile v1',
+      '',
+      '',
+      '"@coral-xyz/anchor@^0.29.0":',
+      '  version "0.29.0"',
+      '  resolved "https://registry.yarnpkg.com/@coral-xyz/anchor/-/anchor-0.29.0.tgz"',
+      '',
+      '"@solana/web3.js@^1.68.0", "@solana/web3.js@^1.87.0":',
+      '  version "1.87.6"',
+      '  dependencies:',
+      '    bs58 "^4.0.1"',
+      '',
+      'bs58@^4.0.1:',
+      '  version "4.0.1"'
+    ].join('\n');
+
+    expect(versions(parseDependencyFile('yarn.lock', content, TRACKED)))
+      .toEqual(['@coral-xyz/anchor@0.29.0', '@solana/web3.js@1.87.6']);
+  });
+
+  test('reads yarn berry lockfiles', () => {
+    const content = [
+      '__metadata:',
+      '  version: 6',
+      '  cacheKey: 8',
+      '',
+      '"@solana/web3.js@npm:^1.87.0, @solana/web3.js@npm:^1.90.0":',
+      '  version: 1.91.1',
+      '  resolution: "@solana/web3.js@npm:1.91.1"',
+      '  dependencies:',
+      '    bs58: ^4.0.1',
+      '',
+      '"app@workspace:.":',
+      '  version: 0.0.0-use.local',
+      '  resolution: "app@workspace:."'
+    ].join('\n');
+
+    expect(versions(parseDependencyFile('yarn.lock', content, TRACKED))).toEqual(['@solana/web3.js@1.91.1']);
+  });
+
+  test('reads pnpm v6 lockfiles', () => {
+    const content = [
+      "lockfileVersion: '6.0'",
+      '',
+      'dependencies:',
+      '  \'@solana/web3.js\':',
+      '    specifier: ^1.87.0',
+      '    version: 1.87.6',
+      '',
+      'packages:',
+      '',
+      '  /@coral-xyz/anchor@0.29.0(typescript@5.3.3):',
+      '    resolution: {integrity: sha512-abc}',
+      '',
+      '  /@solana/web3.js@1.87.6:',
+      '    resolution: {integrity: sha512-def}',
+      '',
+      '  /bs58@4.0.1:',
+      '    resolution: {integrity: sha512-ghi}'
+    ].join('\n');
+
+    expect(versions(parseDependencyFile('pnpm-lock.yaml', content, TRACKED)))
+      .toEqual(['@coral-xyz/anchor@0.29.0', '@solana/web3.js@1.87.6']);
+  });
+
+  test('reads pnpm v9 lockfiles', () => {
+    const content = [
+      "lockfileVersion: '9.0'",
+      '',
+      'importers:',
+      '',
+      '  .:',
+      '    dependencies:',
+      '      \'@solana/web3.js\':',
+      '        specifier: ^1.95.0',
+      '        version: 1.95.3',
+      '',
+      'packages:',
+      '',
+      '  \'@solana/web3.js@1.95.3\':',
+      '    resolution: {integrity: sha512-abc}',
+      '',
+      'snapshots:',
+      '',
+      '  \'@coral-xyz/anchor@0.30.1(bufferutil@4.0.8)\':',
+      '    dependencies:',
+      '      \'@solana/web3.js\': 1.95.3'
+    ].join('\n');
+
+    expect(versions(parseDependencyFile('pnpm-lock.yaml', content, TRACKED)))
+      .toEqual(['@solana/web3.js@1.95.3', '@coral-xyz/anchor@0.30.1']);
+  });
+
+  test('reads PEP 621 and Poetry dependencies from pyproject.toml', () => {
+    const content = [
+      '[project]',
+      'name = "client"',
+      'dependencies = [',
+      '  "Solana[extras]>=0.30.2; python_version >= \'3.8\'",',
+      '  "requests>=2.31",',
+      ']',
+      '',
+      '[project.optional-dependencies]',
+      'anchor = ["anchorpy==0.19.1"]',
+      '',
+      '[tool.poetry.group.dev.dependencies]',
+      'solana = { version = "^0.34.0", extras = ["ws"] }'
+    ].join('\n');
+
+    expect(parseDependencyFile('pyproject.toml', content, TRACKED)).toEqual([
+      { registry: 'pypi', source: 'manifest', packageName: 'solana', requirement: '>=0.30.2', version: '0.30.2' },
+      { registry: 'pypi', source: 'manifest', packageName: 'anchorpy', requirement: '==0.19.1', version: '0.19.1' },
+      { registry: 'pypi', source: 'manifest', packageName: 'solana', requirement: '^0.34.0', version: '0.34.0' }
+    ]);
+  });
+
+  test('returns nothing for files that are not dependency files', () => {
+    expect(parseDependencyFile('node_modules/x/package.json', '{}', TRACKED)).toEqual([]);
+  });
+});
@@ -0,0 +1,81 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Releases looked at when working out how often a repository ships
+const CADENCE_RELEASES = 10;
+
+// A version at the end of the tag, after any prefix such as `v` or `anchor-lang@`
+const VERSION_PATTERN = /(?:^|[^0-9.])(\d+)\.(\d+)(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse the semantic version out of a tag name such as `v1.2.3`,
+ * `anchor-lang@0.30.1` or `release-2.0.0-rc.1`. Missing patch numbers
+ * count as 0. Returns null for tags that carry no version.
+ */
+function parseVersion(tagName) {
+  const match = VERSION_PATTERN.exec(tagName || '');
+  if (!match) {
+    return null;
+  }
+
+  const major = parseInt(match[1]);
+  const minor = parseInt(match[2]);
+  const patch = parseInt(match[3] || '0');
+  const prerelease = match[4] || null;
+
+  return {
+    major,
+    minor,
+    patch,
+    prerelease,
+    version: `${major}.${minor}.${patch}${prerelease ? `-${prerelease}` : ''}`
+  };
+}
+
+/**
+ * Order two parsed versions, with a prerelease sorting before its release
+ */
+function compareVersions(a, b) {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) {
+      return a[part] - b[part];
+    }
+  }
+
+  if (a.prerelease === b.prerelease) return 0;
+  if (!a.prerelease) return 1;
+  if (!b.prerelease) return -1;
+  return a.prerelease.localeCompare(b.prerelease, undefined, { numeric: true });
+}
+
+/**
+ * Median number of days between consecutive releases, over the most
+ * recent ones. Null with fewer than two releases.
+ */
+function releaseCadenceDays(dates) {
+  const recent = dates
+    .map(date => new Date(date).getTime())
+    .sort((a, b) => a - b)
+    .slice(-CADENCE_RELEASES);
+
+  if (recent.length < 2) {
+    return null;
+  }
+
+  const intervals = recent
+    .slice(1)
+    .map((time, index) => (time - recent[index]) / DAY_MS)
+    .sort((a, b) => a - b);
+
+  const middle = Math.floor(intervals.length / 2);
+  const median = intervals.length % 2 === 0
+    ? (intervals[middle - 1] + intervals[middle]) / 2
+    : intervals[middle];
+
+  return Math.round(median * 10) / 10;
+}
+
+module.exports = {
+  parseVersion,
+  compareVersions,
+  releaseCadenceDays
+};
@@ -0,0 +1,34 @@
+const { parseVersion, compareVersions } = require('./releases');
+
+describe('parseVersion', () => {
+  test('parses plain and prefixed tags', () => {
+    expect(parseVersion('v1.2.3')).toEqual({ major: 1, minor: 2, patch: 3, prerelease: null, version: '1.2.3' });
+    expect(parseVersion('anchor-lang@0.30.1').version).toBe('0.30.1');
+    expect(parseVersion('release-2.0.0').version).toBe('2.0.0');
+  });
+
+  test('keeps the prerelease and drops build metadata', () => {
+    expect(parseVersion('v2.0.0-rc.1')).toMatchObject({ prerelease: 'rc.1', version: '2.0.0-rc.1' });
+    expect(parseVersion('1.18.26+build.5').version).toBe('1.18.26');
+  });
+
+  test('counts a missing patch number as 0', () => {
+    expect(parseVersion('v1.16').version).toBe('1.16.0');
+  });
+
+  test('returns null for tags without a version', () => {
+    expect(parseVersion('nightly')).toBeNull();
+    expect(parseVersion('v1')).toBeNull();
+    expect(parseVersion('')).toBeNull();
+    expect(parseVersion(null)).toBeNull();
+  });
+
+  test('orders a prerelease before its release', () => {
+    const sorted = ['v1.0.0', 'v1.0.0-rc.10', 'v0.9.1', 'v1.0.0-rc.2']
+      .map(parseVersion)
+      .sort(compareVersions)
+      .map(parsed => parsed.version);
+
+    expect(sorted).toEqual(['0.9.1', '1.0.0-rc.2', '1.0.0-rc.10', '1.0.0']);
+  });
+});
@@ -0,0 +1,76 @@
+const logger = require('./logger');
+
+/**
+ * Look up a repository that was not found under its name by its stable
+ * id. Renames and transfers are followed and recorded, otherwise the
+ * repository gets the status that explains why it is gone. Returns the
+ * repository under its new name when it should be collected again.
+ */
+async function resolveRepository({ githubService, dbService }, repo) {
+  const { repoId, owner, name } = repo;
+
+  let current;
+  try {
+    current = await githubService.getRepositoryById({ id: repoId });
+  } catch (error) {
+    // Disabled by GitHub, e.g. a DMCA takedown
+    if (error.status === 451) {
+      await dbService.setRepositoryStatus(repoId, 'blocked');
+      return null;
+    }
+    throw error;
+  }
+
+  // GitHub answers 404 for private repositories out of reach as well
+  if (!current) {
+    await dbService.setRepositoryStatus(repoId, 'deleted');
+    return null;
+  }
+
+  if (current.private) {
+    await dbService.setRepositoryStatus(repoId, 'private');
+    return null;
+  }
+
+  const status = current.archived ? 'archived' : 'active';
+  await dbService.setRepositoryStatus(repoId, status);
+
+  if (current.owner.login === owner && current.name === name) {
+    return null;
+  }
+
+  return {
+    ...(await recordRename({ dbService }, repo, current)),
+    status
+  };
+}
+
+/**
+ * Record that a repository is now known under the name of `current`, its
+ * details from GitHub. Returns the repository under its new name.
+ */
+async function recordRename({ dbService }, repo, current) {
+  await dbService.renameRepository(repo.repoId, {
+    owner: current.owner.login,
+    name: current.name,
+    url: current.html_url
+  });
+
+  logger.info({
+    repoId: repo.repoId,
+    from: `${repo.owner}/${repo.name}`,
+    to: current.full_name
+  }, 'Repository renamed');
+
+  return {
+    ...(repo.get ? repo.get({ plain: true }) : repo),
+    owner: current.owner.login,
+    name: current.name,
+    url: current.html_url
+  };
+}
+
+module.exports = {
+  resolveRepository,
+  recordRename
+};
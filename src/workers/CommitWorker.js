@@ -0,0 +1,249 @@
+const GitHubService = require('../services/github/GitHubService');
+const DatabaseService = require('../services/database/DatabaseService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { normalizeEmail, parseCoAuthors, noreplyLogin, isPersonalEmail } = require('../utils/commits');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Collects individual commits with their author and committer emails and
+ * Co-authored-by trailers. Authors are credited by email: once any commit
+ * shows which account an email belongs to, every commit and co-authorship
+ * with that email, earlier ones included, counts for that developer.
+ */
+class CommitWorker {
+  constructor() {
+    this.githubService = new GitHubService({ consumer: 'commits' });
+    this.dbService = new DatabaseService();
+    this.isRunning = false;
+  }
+
+  /**
+   * Process a batch of repositories
+   */
+  async processBatch(repos) {
+    let processedCount = 0;
+    let errorCount = 0;
+
+    for (const repo of repos) {
+      try {
+        const counts = await this.processRepository(repo);
+        processedCount++;
+
+        logger.debug({
+          repoId: repo.repoId,
+          owner: repo.owner,
+          name: repo.name,
+          ...counts
+        }, 'Repository commits processed');
+
+      } catch (error) {
+        errorCount++;
+        logger.error({
+          error: error.message,
+          repoId: repo.repoId,
+          owner: repo.owner,
+          name: repo.name
+        }, 'Failed to process repository commits');
+      }
+    }
+
+    logger.info({
+      processed: processedCount,
+      errors: errorCount,
+      total: repos.length
+    }, 'Commit batch completed');
+
+    return { processedCount, errorCount };
+  }
+
+  /**
+   * Save the commits of a single repository made since the last sync
+   */
+  async processRepository(repo) {
+    const startedAt = new Date();
+    const firstSyncSince = new Date(Date.now() - config.workers.commits.initialLookbackDays * DAY_MS);
+    const since = (await this.dbService.getSyncState(repo.id, 'commits')) || firstSyncSince;
+    let commits = 0;
+    let coAuthors = 0;
+    let credited = 0;
+
+    const pages = this.githubService.paginateCommits({
+      owner: repo.owner,
+      repo: repo.name,
+      since: since.toISOString()
+    });
+
+    for await (const { items } of pages) {
+      if (items.length === 0) {
+        continue;
+      }
+
+      const parsed = items.map(item => this.parseCommit(item));
+      const emails = [...new Set(parsed.flatMap(commit => [
+        commit.authorEmail,
+        ...commit.coAuthors.map(coAuthor => coAuthor.email)
+      ]).filter(Boolean))];
+
+      credited += await this.linkEmails(parsed);
+      const developerIds = await this.dbService.getDeveloperIdsByEmail(emails);
+
+      const saved = await this.dbService.bulkUpsertCommits(parsed.map(commit => ({
+        repositoryId: repo.id,
+        sha: commit.sha,
+        authoredAt: commit.authoredAt,
+        committedAt: commit.committedAt,
+        authorName: commit.authorName,
+        authorEmail: commit.authorEmail,
+        authorLogin: commit.authorLogin,
+        developerId: developerIds.get(commit.authorEmail) || null,
+        committerEmail: commit.committerEmail,
+        committerLogin: commit.committerLogin,
+        isMerge: commit.isMerge
+      })));
+
+      const commitIds = new Map(saved.map(commit => [commit.sha, commit.id]));
+      const coAuthorRows = parsed.flatMap(commit => commit.coAuthors.map(coAuthor => ({
+        commitId: commitIds.get(commit.sha),
+        repositoryId: repo.id,
+        name: coAuthor.name,
+        email: coAuthor.email,
+        developerId: developerIds.get(coAuthor.email) || null
+      })));
+
+      if (coAuthorRows.length > 0) {
+        await this.dbService.bulkUpsertCommitCoAuthors(coAuthorRows);
+      }
+
+      commits += parsed.length;
+      coAuthors += coAuthorRows.length;
+    }
+
+    await this.dbService.setSyncState(repo.id, 'commits', startedAt);
+    return { commits, coAuthors, credited };
+  }
+
+  /**
+   * The fields kept from a commit of the GitHub commits API
+   */
+  parseCommit(item) {
+    const author = item.commit.author || {};
+    const committer = item.commit.committer || {};
+    const authorEmail = normalizeEmail(author.email);
+
+    return {
+      sha: item.sha,
+      authoredAt: author.date || null,
+      committedAt: committer.date || null,
+      authorName: author.name || null,
+      authorEmail,
+      authorLogin: item.author ? item.author.login : null,
+      authorUser: item.author,
+      committerEmail: normalizeEmail(committer.email),
+      committerLogin: item.committer ? item.committer.login : null,
+      committerUser: item.committer,
+      isMerge: (item.parents || []).length > 1,
+      coAuthors: parseCoAuthors(item.commit.message, authorEmail)
+    };
+  }
+
+  /**
+   * Link the emails of these commits to developers where the account is
+   * known: GitHub matched the author or committer email to an account, or
+   * the email is that account's noreply address. Bots get no developer.
+   * Returns how many earlier commits and co-authorships were credited.
+   */
+  async linkEmails(commits) {
+    const accounts = new Map();
+    const addAccount = (email, user, source) => {
+      if (isPersonalEmail(email) && user && user.type !== 'Bot' && !accounts.has(email)) {
+        accounts.set(email, { user, source });
+      }
+    };
+
+    commits.forEach((commit) => {
+      addAccount(commit.authorEmail, commit.authorUser, 'commit');
+      addAccount(commit.committerEmail, commit.committerUser, 'commit');
+
+      [commit.authorEmail, commit.committerEmail, ...commit.coAuthors.map(coAuthor => coAuthor.email)]
+        .forEach((email) => {
+          const login = noreplyLogin(email);
+          if (login && !login.endsWith('[bot]')) {
+            addAccount(email, { login, html_url: `https://github.com/${login}` }, 'noreply');
+          }
+        });
+    });
+
+    if (accounts.size === 0) {
+      return 0;
+    }
+
+    const developers = [...accounts.values()].map(({ user }) => ({
+      username: user.login,
+      gitUrl: user.html_url,
+      avatar: user.avatar_url
+    }));
+    const developerIds = await this.dbService.ensureDevelopers(developers);
+
+    return await this.dbService.linkDeveloperEmails([...accounts.entries()]
+      .filter(([, { user }]) => developerIds.has(user.login))
+      .map(([email, { user, source }]) => ({
+        email,
+        developerId: developerIds.get(user.login),
+        source
+      })));
+  }
+
+  /**
+   * Run the worker over all repositories
+   */
+  async run({ priority = 'normal' } = {}) {
+    if (this.isRunning) {
+      logger.warn('Commit worker already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.githubService.priority = priority;
+    logger.info({ priority }, 'Starting commit worker');
+
+    try {
+      const batchSize = config.workers.commits.batchSize;
+      let totalProcessed = 0;
+      let totalErrors = 0;
+
+      const batches = this.dbService.iterateRepositoriesForProcessing({
+        ecosystems: config.ecosystems.map(ecosystem => ecosystem.name),
+        batchSize,
+        forkPolicy: config.forks.policy
+      });
+
+      for await (const repos of batches) {
+        const { processedCount, errorCount } = await this.processBatch(repos);
+        totalProcessed += processedCount;
+        totalErrors += errorCount;
+
+        await this.sleep(5000);
+      }
+
+      logger.info({
+        totalProcessed,
+        totalErrors
+      }, 'Commit worker completed');
+
+    } catch (error) {
+      logger.error({
+        error: error.message
+      }, 'Commit worker failed');
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = CommitWorker;
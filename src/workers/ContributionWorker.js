@@ -0,0 +1,275 @@
+const GitHubService = require('../services/github/GitHubService');
+const DatabaseService = require('../services/database/DatabaseService');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Collects pull requests, issues and pull request reviews. Each repository
+ * remembers when its issues and pull requests were last synced, and later
+ * runs only ask GitHub for what changed since then.
+ */
+class ContributionWorker {
+  constructor() {
+    this.githubService = new GitHubService({ consumer: 'contributions' });
+    this.dbService = new DatabaseService();
+    this.isRunning = false;
+  }
+
+  /**
+   * Process a batch of repositories
+   */
+  async processBatch(repos) {
+    let processedCount = 0;
+    let errorCount = 0;
+
+    for (const repo of repos) {
+      try {
+        const counts = await this.processRepository(repo);
+        processedCount++;
+
+        logger.debug({
+          repoId: repo.repoId,
+          owner: repo.owner,
+          name: repo.name,
+          ...counts
+        }, 'Repository contributions processed');
+
+      } catch (error) {
+        errorCount++;
+        logger.error({
+          error: error.message,
+          repoId: repo.repoId,
+          owner: repo.owner,
+          name: repo.name
+        }, 'Failed to process repository contributions');
+      }
+    }
+
+    logger.info({
+      processed: processedCount,
+      errors: errorCount,
+      total: repos.length
+    }, 'Contribution batch completed');
+
+    return { processedCount, errorCount };
+  }
+
+  /**
+   * Sync the issues, pull requests and reviews of a single repository
+   */
+  async processRepository(repo) {
+    const firstSyncSince = new Date(Date.now() - config.workers.contributions.initialLookbackDays * DAY_MS);
+
+    const issues = await this.syncIssues(repo, firstSyncSince);
+    const { pullRequests, reviews } = await this.syncPullRequests(repo, firstSyncSince);
+
+    return { issues, pullRequests, reviews };
+  }
+
+  /**
+   * Save issues updated since the last sync
+   */
+  async syncIssues(repo, firstSyncSince) {
+    const startedAt = new Date();
+    const since = (await this.dbService.getSyncState(repo.id, 'issues')) || firstSyncSince;
+    let count = 0;
+
+    const pages = this.githubService.paginateIssues({
+      owner: repo.owner,
+      repo: repo.name,
+      since: since.toISOString()
+    });
+
+    for await (const { items } of pages) {
+      // Pull requests are collected with their merge state and reviews below
+      const issues = items.filter(item => !item.pull_request);
+      if (issues.length === 0) {
+        continue;
+      }
+
+      const developerIds = await this.resolveDevelopers(issues.map(issue => issue.user));
+
+      await this.dbService.bulkUpsertIssues(issues.map(issue => ({
+        githubId: issue.id,
+        repositoryId: repo.id,
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        comments: issue.comments,
+        authorLogin: issue.user ? issue.user.login : null,
+        developerId: this.developerId(issue.user, developerIds),
+        openedAt: issue.created_at,
+        closedAt: issue.closed_at,
+        githubUpdatedAt: issue.updated_at
+      })));
+
+      count += issues.length;
+    }
+
+    await this.dbService.setSyncState(repo.id, 'issues', startedAt);
+    return count;
+  }
+
+  /**
+   * Save pull requests updated since the last sync, with their reviews
+   */
+  async syncPullRequests(repo, firstSyncSince) {
+    const startedAt = new Date();
+    const since = (await this.dbService.getSyncState(repo.id, 'pulls')) || firstSyncSince;
+    let pullRequests = 0;
+    let reviews = 0;
+
+    const pages = this.githubService.paginatePullRequests({
+      owner: repo.owner,
+      repo: repo.name
+    });
+
+    for await (const { items } of pages) {
+      const changed = items.filter(pull => new Date(pull.updated_at) >= since);
+
+      if (changed.length > 0) {
+        const developerIds = await this.resolveDevelopers(changed.map(pull => pull.user));
+
+        const saved = await this.dbService.bulkUpsertPullRequests(changed.map(pull => ({
+          githubId: pull.id,
+          repositoryId: repo.id,
+          number: pull.number,
+          title: pull.title,
+          state: pull.state,
+          isDraft: pull.draft || false,
+          authorLogin: pull.user ? pull.user.login : null,
+          developerId: this.developerId(pull.user, developerIds),
+          openedAt: pull.created_at,
+          closedAt: pull.closed_at,
+          mergedAt: pull.merged_at,
+          githubUpdatedAt: pull.updated_at
+        })));
+
+        for (const pullRequest of saved) {
+          reviews += await this.syncReviews(repo, pullRequest);
+        }
+
+        pullRequests += changed.length;
+      }
+
+      // Newest updates come first, the rest were seen by an earlier sync
+      if (changed.length < items.length) {
+        break;
+      }
+    }
+
+    await this.dbService.setSyncState(repo.id, 'pulls', startedAt);
+    return { pullRequests, reviews };
+  }
+
+  /**
+   * Save the submitted reviews of a pull request
+   */
+  async syncReviews(repo, pullRequest) {
+    let count = 0;
+
+    const pages = this.githubService.paginateReviews({
+      owner: repo.owner,
+      repo: repo.name,
+      pullNumber: pullRequest.number
+    });
+
+    for await (const { items } of pages) {
+      // Pending reviews are drafts only their author can see
+      const submitted = items.filter(review => review.state !== 'PENDING');
+      if (submitted.length === 0) {
+        continue;
+      }
+
+      const developerIds = await this.resolveDevelopers(submitted.map(review => review.user));
+
+      await this.dbService.bulkUpsertReviews(submitted.map(review => ({
+        githubId: review.id,
+        pullRequestId: pullRequest.id,
+        repositoryId: repo.id,
+        state: review.state,
+        reviewerLogin: review.user ? review.user.login : null,
+        developerId: this.developerId(review.user, developerIds),
+        submittedAt: review.submitted_at
+      })));
+
+      count += submitted.length;
+    }
+
+    return count;
+  }
+
+  /**
+   * Developer ids by username for the given GitHub users. Bots and deleted
+   * accounts (null users) get no developer.
+   */
+  async resolveDevelopers(users) {
+    const developers = users
+      .filter(user => user && user.type !== 'Bot')
+      .map(user => ({
+        username: user.login,
+        gitUrl: user.html_url,
+        avatar: user.avatar_url
+      }));
+
+    return await this.dbService.ensureDevelopers(developers);
+  }
+
+  developerId(user, developerIds) {
+    return (user && developerIds.get(user.login)) || null;
+  }
+
+  /**
+   * Run the worker over all repositories
+   */
+  async run({ priority = 'normal' } = {}) {
+    if (this.isRunning) {
+      logger.warn('Contribution worker already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.githubService.priority = priority;
+    logger.info({ priority }, 'Starting contribution worker');
+
+    try {
+      const batchSize = config.workers.contributions.batchSize;
+      let totalProcessed = 0;
+      let totalErrors = 0;
+
+      const batches = this.dbService.iterateRepositoriesForProcessing({
+        ecosystems: config.ecosystems.map(ecosystem => ecosystem.name),
+        batchSize,
+        forkPolicy: config.forks.policy
+      });
+
+      for await (const repos of batches) {
+        const { processedCount, errorCount } = await this.processBatch(repos);
+        totalProcessed += processedCount;
+        totalErrors += errorCount;
+
+        await this.sleep(5000);
+      }
+
+      logger.info({
+        totalProcessed,
+        totalErrors
+      }, 'Contribution worker completed');
+
+    } catch (error) {
+      logger.error({
+        error: error.message
+      }, 'Contribution worker failed');
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = ContributionWorker;
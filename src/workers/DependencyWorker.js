@@ -0,0 +1,187 @@
+const GitHubService = require('../services/github/GitHubService');
+const DatabaseService = require('../services/database/DatabaseService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { dependencyFile, parseDependencyFile } = require('../utils/manifests');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the dependency manifests and lockfiles of each repository
+ * (Cargo.toml, package.json, pyproject.toml and their lockfiles, in any
+ * directory) and records which versions of the tracked Solana packages it
+ * uses. Files are fetched by blob sha, so unchanged files cost no quota.
+ */
+class DependencyWorker {
+  constructor() {
+    this.githubService = new GitHubService({ consumer: 'dependencies' });
+    this.dbService = new DatabaseService();
+    this.isRunning = false;
+  }
+
+  /**
+   * Process a batch of repositories
+   */
+  async processBatch(repos) {
+    let processedCount = 0;
+    let skippedCount = 0;
+    let errorCount = 0;
+
+    for (const repo of repos) {
+      try {
+        const counts = await this.processRepository(repo);
+        if (!counts) {
+          skippedCount++;
+          continue;
+        }
+
+        processedCount++;
+
+        logger.debug({
+          repoId: repo.repoId,
+          owner: repo.owner,
+          name: repo.name,
+          ...counts
+        }, 'Repository dependencies processed');
+
+      } catch (error) {
+        errorCount++;
+        logger.error({
+          error: error.message,
+          repoId: repo.repoId,
+          owner: repo.owner,
+          name: repo.name
+        }, 'Failed to process repository dependencies');
+      }
+    }
+
+    logger.info({
+      processed: processedCount,
+      skipped: skippedCount,
+      errors: errorCount,
+      total: repos.length
+    }, 'Dependency batch completed');
+
+    return { processedCount, skippedCount, errorCount };
+  }
+
+  /**
+   * Scan the dependency files of a single repository, unless it was scanned
+   * recently. Returns null for skipped repositories.
+   */
+  async processRepository(repo) {
+    const { refreshDays, maxFiles } = config.workers.dependencies;
+    const scannedAt = new Date();
+
+    const lastScan = await this.dbService.getSyncState(repo.id, 'dependencies');
+    if (lastScan && scannedAt - lastScan < refreshDays * DAY_MS) {
+      return null;
+    }
+
+    // Missing or empty: keep what was recorded before
+    const tree = await this.githubService.getTree({ owner: repo.owner, repo: repo.name });
+    if (!tree) {
+      await this.dbService.setSyncState(repo.id, 'dependencies', scannedAt);
+      return { files: 0, dependencies: 0 };
+    }
+
+    const allFiles = tree.tree
+      .filter(entry => entry.type === 'blob' && dependencyFile(entry.path))
+      .sort((a, b) => a.path.split('/').length - b.path.split('/').length || a.path.localeCompare(b.path));
+    const files = allFiles.slice(0, maxFiles);
+
+    if (tree.truncated || files.length < allFiles.length) {
+      logger.info({
+        owner: repo.owner,
+        repo: repo.name,
+        truncated: tree.truncated,
+        files: allFiles.length,
+        maxFiles
+      }, 'Dependency files left unread, keeping what was recorded for them');
+    }
+
+    const dependencies = [];
+    const scannedPaths = [];
+    for (const file of files) {
+      const content = await this.githubService.getBlob({ owner: repo.owner, repo: repo.name, fileSha: file.sha });
+      if (content === null) {
+        continue;
+      }
+
+      try {
+        parseDependencyFile(file.path, content, config.trackedPackages)
+          .forEach(dependency => dependencies.push({ path: file.path, ...dependency }));
+        scannedPaths.push(file.path);
+      } catch (error) {
+        logger.warn({
+          error: error.message,
+          owner: repo.owner,
+          repo: repo.name,
+          path: file.path
+        }, 'Failed to parse dependency file');
+      }
+    }
+
+    // A truncated tree hides which files are gone, so only the files read supersede
+    await this.dbService.replaceRepositoryDependencies(repo.id, dependencies, scannedAt, tree.truncated
+      ? { scannedPaths }
+      : { skippedPaths: allFiles.map(file => file.path).filter(path => !scannedPaths.includes(path)) });
+    await this.dbService.setSyncState(repo.id, 'dependencies', scannedAt);
+
+    return { files: scannedPaths.length, dependencies: dependencies.length };
+  }
+
+  /**
+   * Run the worker over all repositories
+   */
+  async run({ priority = 'normal' } = {}) {
+    if (this.isRunning) {
+      logger.warn('Dependency worker already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.githubService.priority = priority;
+    logger.info({ priority }, 'Starting dependency worker');
+
+    try {
+      const batchSize = config.workers.dependencies.batchSize;
+      let totalProcessed = 0;
+      let totalErrors = 0;
+
+      const batches = this.dbService.iterateRepositoriesForProcessing({
+        ecosystems: config.ecosystems.map(ecosystem => ecosystem.name),
+        batchSize,
+        forkPolicy: config.forks.policy
+      });
+
+      for await (const repos of batches) {
+        const { processedCount, errorCount } = await this.processBatch(repos);
+        totalProcessed += processedCount;
+        totalErrors += errorCount;
+
+        if (processedCount > 0) {
+          await this.sleep(5000);
+        }
+      }
+
+      logger.info({
+        totalProcessed,
+        totalErrors
+      }, 'Dependency worker completed');
+
+    } catch (error) {
+      logger.error({
+        error: error.message
+      }, 'Dependency worker failed');
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = DependencyWorker;
@@ -2,10 +2,12 @@ const GitHubService = require('../services/github/GitHubService');
 const DatabaseService = require('../services/database/DatabaseService');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { parseVersion, compareVersions, releaseCadenceDays } = require('../utils/releases');
+const { resolveRepository, recordRename } = require('../utils/repositories');
 
 class DeveloperActivityWorker {
   constructor() {
-    this.githubService = new GitHubService();
+    this.githubService = new GitHubService({ consumer: 'activity' });
     this.dbService = new DatabaseService();
     this.isRunning = false;
   }
@@ -20,12 +22,22 @@ class DeveloperActivityWorker {
 
     let processedCount = 0;
     let errorCount = 0;
+    let deferredCount = 0;
 
     for (const repo of repos) {
+      // Statistics were still being computed last time, wait until the retry is due
+      if (repo.statsRetryAt && new Date(repo.statsRetryAt).getTime() > Date.now()) {
+        continue;
+      }
+
       try {
         await this.processRepository(repo, referenceTime);
         processedCount++;
 
+        if (repo.statsRetryAt) {
+          await this.dbService.clearRepositoryStatsPending(repo.repoId);
+        }
+
         logger.debug({
           repoId: repo.repoId,
           owner: repo.owner,
@@ -33,6 +45,13 @@ class DeveloperActivityWorker {
         }, 'Repository processed successfully');
 
       } catch (error) {
+        // GitHub is still computing statistics, move on and come back later
+        if (error.status === 202) {
+          deferredCount++;
+          await this.deferRepository(repo);
+          continue;
+        }
+
         errorCount++;
         logger.error({
           error: error.message,
@@ -40,28 +59,64 @@ class DeveloperActivityWorker {
           owner: repo.owner,
           name: repo.name
         }, 'Failed to process repository');
-
-        // Mark as closed source if 404
-        if (error.status === 404) {
-          await this.dbService.markRepositoryClosedSource(repo.repoId);
-        }
       }
     }
 
     logger.info({
       processed: processedCount,
       errors: errorCount,
+      deferred: deferredCount,
       total: repos.length
     }, 'Batch processing completed');
 
-    return { processedCount, errorCount };
+    return { processedCount, errorCount, deferredCount };
+  }
+
+  /**
+   * Re-queue a repository whose statistics are still being computed,
+   * waiting longer each time GitHub is still not ready
+   */
+  async deferRepository(repo) {
+    const { statsRequeueDelayMs, statsRequeueMaxDelayMs } = config.workers.developerFetch;
+    const attempts = (repo.statsAttempts || 0) + 1;
+    const delay = Math.min(statsRequeueDelayMs * 2 ** (attempts - 1), statsRequeueMaxDelayMs);
+    const retryAt = new Date(Date.now() + delay);
+
+    try {
+      await this.dbService.markRepositoryStatsPending(repo.repoId, {
+        pendingSince: repo.statsPendingSince || new Date(),
+        retryAt,
+        attempts
+      });
+
+      logger.info({
+        repoId: repo.repoId,
+        owner: repo.owner,
+        name: repo.name,
+        attempts,
+        retryAt
+      }, 'Repository statistics pending, re-queued');
+    } catch (error) {
+      // Already logged, the repository is simply picked up by the next run
+    }
   }
 
   /**
    * Process a single repository to collect developer activity
    */
   async processRepository(repo, referenceTime) {
-    const { repoId, owner, name, id: repositoryId } = repo;
+    const followed = await this.followRepository(repo);
+    if (!followed) {
+      return;
+    }
+
+    repo = followed.repo;
+    const { owner, name, id: repositoryId } = repo;
+
+    // Releases, languages and topics do not depend on the statistics below,
+    // so a repository still waiting for them gets them refreshed anyway
+    await this.syncReleases(repo);
+    await this.syncLanguagesAndTopics(repo, followed.details);
 
     try {
       // Get contributor activity data
@@ -70,7 +125,12 @@ class DeveloperActivityWorker {
         repo: name
       });
 
-      if (!contributorsData || contributorsData.length === 0) {
+      // Gone since it was looked up, resolved by the next run
+      if (contributorsData === null) {
+        return;
+      }
+
+      if (contributorsData.length === 0) {
         logger.debug({
           owner,
           repo: name
@@ -84,13 +144,16 @@ class DeveloperActivityWorker {
         contributors: contributorsData.length
       }, 'Processing contributors');
 
+      // A fork shares its parent's history, only weeks after the fork count
+      const since = repo.isFork && repo.started ? Math.max(referenceTime, repo.started) : referenceTime;
+
       // Process each contributor
       for (const contribution of contributorsData) {
         try {
           await this.processContributor(
             contribution,
             repositoryId,
-            referenceTime
+            since
           );
         } catch (error) {
           logger.error({
@@ -107,6 +170,182 @@ class DeveloperActivityWorker {
     }
   }
 
+  /**
+   * Look up a repository that was not found under its name by its stable id
+   */
+  async resolveRepository(repo) {
+    return await resolveRepository(this, repo);
+  }
+
+  /**
+   * The repository under its current name, with its details. GitHub
+   * redirects requests for renamed and transferred repositories, so the
+   * details can come back under another name, which is then recorded.
+   * Repositories not found under their name, or whose name now belongs to
+   * another repository, are looked up by id. Returns null when it is gone.
+   */
+  async followRepository(repo) {
+    const lookup = current => this.githubService.getRepository({ owner: current.owner, repo: current.name });
+    let details = await lookup(repo);
+
+    if (!details || String(details.id) !== repo.repoId) {
+      repo = await this.resolveRepository(repo);
+      if (!repo) {
+        return null;
+      }
+
+      details = await lookup(repo);
+      if (!details || String(details.id) !== repo.repoId) {
+        return null;
+      }
+    }
+
+    if (details.owner.login !== repo.owner || details.name !== repo.name) {
+      repo = await recordRename(this, repo, details);
+    }
+
+    return { repo, details };
+  }
+
+  /**
+   * Refresh the language byte counts and topics of a repository, using
+   * GitHub's classification. Both responses are cached, so unchanged
+   * repositories cost no quota. Failures are logged and do not stop
+   * activity collection.
+   */
+  async syncLanguagesAndTopics(repo, details) {
+    const params = { owner: repo.owner, repo: repo.name };
+
+    try {
+      const languages = await this.githubService.getLanguages(params);
+
+      // Gone since it was looked up, resolved by the next run
+      if (!languages) {
+        return;
+      }
+
+      await this.dbService.setRepositoryLanguages(repo.id, languages, details.language);
+      await this.dbService.setRepositoryTopics(repo.id, details.topics || []);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repoId: repo.repoId,
+        owner: repo.owner,
+        name: repo.name
+      }, 'Failed to sync languages and topics');
+    }
+  }
+
+  /**
+   * Refresh the releases and tags of a repository, and the release fields
+   * derived from them. Failures are logged and do not stop activity collection.
+   */
+  async syncReleases(repo) {
+    const { maxReleases } = config.workers.developerFetch;
+    const params = { owner: repo.owner, repo: repo.name };
+
+    try {
+      const releases = [];
+      for await (const { items } of this.githubService.paginateReleases(params, { maxResults: maxReleases })) {
+        // Drafts are only listed for tokens with push access
+        releases.push(...items.filter(release => !release.draft));
+      }
+
+      const tags = [];
+      for await (const { items } of this.githubService.paginateTags(params, { maxResults: maxReleases })) {
+        tags.push(...items);
+      }
+
+      const commitShas = new Map(tags.map(tag => [tag.name, tag.commit && tag.commit.sha]));
+      const releaseTags = new Set(releases.map(release => release.tag_name));
+
+      if (releases.length > 0) {
+        const developerIds = await this.dbService.ensureDevelopers(releases
+          .map(release => release.author)
+          .filter(author => author && author.type !== 'Bot')
+          .map(author => ({
+            username: author.login,
+            gitUrl: author.html_url,
+            avatar: author.avatar_url
+          })));
+
+        await this.dbService.bulkUpsertReleases(releases.map((release) => {
+          const version = parseVersion(release.tag_name);
+
+          return {
+            repositoryId: repo.id,
+            tagName: release.tag_name,
+            source: 'release',
+            githubId: release.id,
+            name: release.name,
+            version: version ? version.version : null,
+            isPrerelease: release.prerelease || Boolean(version && version.prerelease),
+            commitSha: commitShas.get(release.tag_name) || null,
+            authorLogin: release.author ? release.author.login : null,
+            developerId: (release.author && developerIds.get(release.author.login)) || null,
+            assetCount: (release.assets || []).length,
+            publishedAt: release.published_at
+          };
+        }));
+      }
+
+      const plainTags = tags.filter(tag => !releaseTags.has(tag.name));
+
+      if (plainTags.length > 0) {
+        await this.dbService.bulkCreateReleaseTags(plainTags.map((tag) => {
+          const version = parseVersion(tag.name);
+
+          return {
+            repositoryId: repo.id,
+            tagName: tag.name,
+            source: 'tag',
+            version: version ? version.version : null,
+            isPrerelease: Boolean(version && version.prerelease),
+            commitSha: tag.commit ? tag.commit.sha : null
+          };
+        }));
+      }
+
+      await this.dbService.updateRepositoryReleaseStats(repo.repoId, this.releaseStats(releases, tags));
+
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        repoId: repo.repoId,
+        owner: repo.owner,
+        name: repo.name
+      }, 'Failed to sync releases');
+    }
+  }
+
+  /**
+   * Derived release fields: the newest release, how many there are, the
+   * usual gap between them, and the latest version released or tagged
+   */
+  releaseStats(releases, tags) {
+    const published = releases
+      .filter(release => release.published_at)
+      .sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
+
+    const newestVersion = published
+      .map(release => parseVersion(release.tag_name))
+      .find(Boolean);
+
+    // Without releases, fall back to the highest tagged version, stable ones first
+    const taggedVersions = tags
+      .map(tag => parseVersion(tag.name))
+      .filter(Boolean)
+      .sort((a, b) => (Boolean(b.prerelease) - Boolean(a.prerelease)) || compareVersions(a, b));
+    const latestVersion = newestVersion || taggedVersions[taggedVersions.length - 1];
+
+    return {
+      lastReleaseAt: published.length > 0 ? published[0].published_at : null,
+      latestVersion: latestVersion ? latestVersion.version : null,
+      releaseCount: published.length,
+      releaseCadenceDays: releaseCadenceDays(published.map(release => release.published_at))
+    };
+  }
+
   /**
    * Process a single contributor and their activities
    */
@@ -208,57 +447,51 @@ class DeveloperActivityWorker {
   /**
    * Run the worker to process repositories and collect developer activity
    */
-  async run() {
+  async run({ priority = 'normal' } = {}) {
     if (this.isRunning) {
       logger.warn('Developer activity worker already running');
       return;
     }
 
     this.isRunning = true;
-    logger.info('Starting developer activity worker');
+    this.githubService.priority = priority;
+    logger.info({ priority }, 'Starting developer activity worker');
 
     try {
       const batchSize = config.workers.developerFetch.batchSize;
-      const ecosystem = config.ecosystem;
-      let offset = 0;
-      let hasMore = true;
+      const ecosystems = config.ecosystems.map(ecosystem => ecosystem.name);
       let totalProcessed = 0;
       let totalErrors = 0;
+      let totalDeferred = 0;
 
-      while (hasMore) {
-        // Get batch of repositories
-        const repos = await this.dbService.getRepositoriesForProcessing({
-          ecosystem,
-          limit: batchSize,
-          offset,
-          orderBy: 'createdAt'
-        });
-
-        if (repos.length === 0) {
-          hasMore = false;
-          logger.info('No more repositories to process');
-          break;
-        }
+      const batches = this.dbService.iterateRepositoriesForProcessing({
+        ecosystems,
+        batchSize,
+        forkPolicy: config.forks.policy
+      });
 
+      for await (const repos of batches) {
         logger.info({
-          offset,
+          processed: totalProcessed,
           batchSize: repos.length
         }, 'Processing batch of repositories');
 
         // Process the batch
-        const { processedCount, errorCount } = await this.processBatch(repos);
+        const { processedCount, errorCount, deferredCount } = await this.processBatch(repos);
         totalProcessed += processedCount;
         totalErrors += errorCount;
-
-        offset += batchSize;
+        totalDeferred += deferredCount;
 
         // Add a small delay between batches to avoid overwhelming the system
         await this.sleep(5000);
       }
 
+      logger.info('No more repositories to process');
+
       logger.info({
         totalProcessed,
-        totalErrors
+        totalErrors,
+        totalDeferred
       }, 'Developer activity worker completed');
 
     } catch (error) {
@@ -280,40 +513,41 @@ class DeveloperActivityWorker {
     }
 
     this.isRunning = true;
+    this.githubService.priority = 'bulk';
     logger.info('Starting developer activity backfill');
 
     try {
       const batchSize = config.workers.developerFetch.batchSize;
       let totalProcessed = 0;
       let totalErrors = 0;
-      let hasMore = true;
+      let totalDeferred = 0;
 
-      while (hasMore) {
-        // Get repositories without activity data
-        const repos = await this.dbService.getRepositoriesWithoutActivities(batchSize);
-
-        if (repos.length === 0) {
-          hasMore = false;
-          logger.info('No more repositories to backfill');
-          break;
-        }
+      const batches = this.dbService.iterateRepositoriesWithoutActivities({
+        batchSize,
+        forkPolicy: config.forks.policy
+      });
 
+      for await (const repos of batches) {
         logger.info({
           batchSize: repos.length
         }, 'Backfilling batch of repositories');
 
         // Process the batch
-        const { processedCount, errorCount } = await this.processBatch(repos);
+        const { processedCount, errorCount, deferredCount } = await this.processBatch(repos);
         totalProcessed += processedCount;
         totalErrors += errorCount;
+        totalDeferred += deferredCount;
 
         // Add a delay between batches
         await this.sleep(5000);
       }
 
+      logger.info('No more repositories to backfill');
+
       logger.info({
         totalProcessed,
-        totalErrors
+        totalErrors,
+        totalDeferred
       }, 'Developer activity backfill completed');
 
     } catch (error) {
@@ -325,6 +559,42 @@ class DeveloperActivityWorker {
     }
   }
 
+  /**
+   * Process repositories whose statistics were still being computed
+   * during an earlier run and are now due
+   */
+  async runPendingStats({ priority = 'normal' } = {}) {
+    if (this.isRunning) {
+      logger.debug('Developer activity worker running, pending statistics left for later');
+      return;
+    }
+
+    this.isRunning = true;
+    this.githubService.priority = priority;
+
+    try {
+      const repos = await this.dbService.getRepositoriesWithPendingStats({
+        ecosystems: config.ecosystems.map(ecosystem => ecosystem.name),
+        limit: config.workers.developerFetch.batchSize,
+        forkPolicy: config.forks.policy
+      });
+
+      if (repos.length === 0) {
+        return;
+      }
+
+      logger.info({ count: repos.length }, 'Processing repositories with pending statistics');
+      await this.processBatch(repos);
+
+    } catch (error) {
+      logger.error({
+        error: error.message
+      }, 'Pending statistics processing failed');
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
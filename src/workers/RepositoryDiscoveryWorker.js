@@ -3,47 +3,132 @@ const DatabaseService = require('../services/database/DatabaseService');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+const HOUR_MS = 60 * 60 * 1000;
+
+// Results GitHub serves per search, whatever its total count
+const SEARCH_RESULT_CAP = 1000;
+
+// Ranges are merged only up to this many results, leaving room to grow
+const MERGED_RANGE_MAX_RESULTS = 800;
+
+// Code search only indexes files smaller than 384 KB
+const MAX_INDEXED_FILE_SIZE = 384 * 1024;
+
+/**
+ * Finds the repositories of one ecosystem with its code and repository
+ * searches and its trending search. Repositories are saved once and tagged
+ * with each ecosystem whose searches find them.
+ */
 class RepositoryDiscoveryWorker {
-  constructor() {
-    this.githubService = new GitHubService();
+  constructor(ecosystem = config.ecosystems[0]) {
+    this.ecosystem = ecosystem;
+    this.githubService = new GitHubService({ priority: 'bulk', consumer: 'discovery' });
     this.dbService = new DatabaseService();
     this.isRunning = false;
-    this.processedRepos = new Set();
   }
 
   /**
-   * Generate size ranges for code search pagination
+   * Initial size ranges of a code search, before any were split or merged:
+   * narrow for the small files most matches are in, wider above, and a last
+   * range up to the largest file code search indexes
    */
   generateSizeRanges() {
-    const ranges = [];
+    const starts = [];
     let start = 0;
 
     while (start < 1000) {
-      ranges.push(`${start}..${start + 199}`);
+      starts.push(start);
       start += 150;
     }
 
     while (start < 3000) {
-      ranges.push(`${start}..${start + 499}`);
+      starts.push(start);
       start += 250;
     }
 
     while (start < 5000) {
-      ranges.push(`${start}..${start + 999}`);
+      starts.push(start);
       start += 500;
     }
 
     while (start < 10000) {
-      ranges.push(`${start}..${start + 1999}`);
+      starts.push(start);
       start += 1000;
     }
 
     while (start < 15000) {
-      ranges.push(`${start}..${start + 4999}`);
+      starts.push(start);
       start += 5000;
     }
 
-    return ranges;
+    starts.push(start);
+
+    return starts.map((min, i) => ({
+      min,
+      max: i + 1 < starts.length ? starts[i + 1] - 1 : MAX_INDEXED_FILE_SIZE
+    }));
+  }
+
+  /**
+   * Whether a search was scanned to the end within the rescan interval
+   */
+  recentlyScanned(cursor) {
+    return Boolean(cursor && !cursor.nextPage && cursor.completedAt &&
+      Date.now() - cursor.completedAt.getTime() < config.workers.repoDiscovery.rescanHours * HOUR_MS);
+  }
+
+  /**
+   * Save the position of a search after one of its pages was processed, so
+   * an interrupted run resumes with the next page
+   */
+  async saveCursor(search, page, startedAt) {
+    await this.dbService.saveDiscoveryCursor({
+      ecosystem: this.ecosystem.name,
+      ...search,
+      nextPage: page.cursor,
+      page: page.page,
+      startedAt,
+      ...(page.cursor ? {} : { completedAt: new Date() })
+    });
+  }
+
+  /**
+   * Add what a query's search found in this run to its yield statistics
+   */
+  async recordYield(query, tally) {
+    if (!tally.searched) {
+      return;
+    }
+
+    try {
+      await this.dbService.recordSearchQueryYield(query.id, {
+        results: tally.results,
+        newRepositories: tally.newRepositories,
+        ranAt: new Date()
+      });
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        queryId: query.id
+      }, 'Failed to record search query yield');
+    }
+  }
+
+  /**
+   * Tag repositories found by a search with this worker's ecosystem.
+   * Returns how many were not tagged with it before.
+   */
+  async tagEcosystem(repoIds) {
+    try {
+      return await this.dbService.tagRepositoryEcosystem(repoIds, this.ecosystem.name);
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        ecosystem: this.ecosystem.name,
+        count: repoIds.length
+      }, 'Failed to tag repositories with ecosystem');
+      return 0;
+    }
   }
 
   /**
@@ -51,76 +136,192 @@ class RepositoryDiscoveryWorker {
    * This is the original method from analytics service
    */
   async searchByCode() {
-    const queries = config.solanaSearchQueries;
-    const sizeRanges = this.generateSizeRanges();
-    const ecosystem = config.ecosystem;
-    let totalFound = 0;
+    const queries = await this.dbService.getSearchQueries({ ecosystem: this.ecosystem.name, strategy: 'code', enabled: true });
+    const cursors = await this.dbService.getDiscoveryCursors(this.ecosystem.name, 'code');
+    const partitions = await this.dbService.getCodeSearchPartitions();
+    const stats = { found: 0, skipped: 0 };
 
-    logger.info('Starting code search for repositories');
+    logger.info({ ecosystem: this.ecosystem.name }, 'Starting code search for repositories');
 
     for (const query of queries) {
-      const { filename, extension, keyword, type } = query;
-
-      for (const sizeRange of sizeRanges) {
-        let page = 1;
-        let hasMore = true;
-
-        while (hasMore && page <= 10) {
-          try {
-            const result = await this.githubService.searchCode({
-              filename,
-              extension,
-              keyword,
-              sizeRange,
-              perPage: 100,
-              page
-            });
-
-            if (result.items.length === 0) {
-              hasMore = false;
-              break;
-            }
-
-            logger.debug({
-              query: { filename, extension, keyword },
-              sizeRange,
-              page,
-              found: result.items.length
-            }, 'Code search results');
-
-            const reposData = await this.processCodeSearchResults(result.items, ecosystem, type);
-            totalFound += reposData.length;
-
-            if (result.items.length < 100) {
-              hasMore = false;
-            }
-
-            page++;
-          } catch (error) {
-            logger.error({
-              error: error.message,
-              query: { filename, extension, keyword },
-              sizeRange,
-              page
-            }, 'Code search failed');
-
-            // Continue to next range on error
-            break;
-          }
+      const { filename, extension, keyword } = query;
+      const searchQuery = this.githubService.buildCodeSearchQuery({ filename, extension, keyword });
+      const ranges = partitions.get(searchQuery) || this.generateSizeRanges();
+      const slices = [];
+      const tally = { searched: false, results: 0, newRepositories: 0 };
+
+      for (const range of ranges) {
+        await this.searchSizeRange(query, searchQuery, range, { cursors, slices, stats, tally });
+      }
+
+      await this.recordYield(query, tally);
+
+      try {
+        await this.savePartition(searchQuery, slices);
+      } catch (error) {
+        logger.error({
+          error: error.message,
+          query: searchQuery
+        }, 'Failed to save code search partition');
+      }
+    }
+
+    logger.info({ ecosystem: this.ecosystem.name, totalFound: stats.found, skipped: stats.skipped }, 'Code search completed');
+    return stats.found;
+  }
+
+  /**
+   * Search one size range of a code search query. A range holding more
+   * results than GitHub serves is split in halves, searched in its place.
+   * Each range searched is added to `slices` with its result count, and
+   * its results to the query's `tally`.
+   */
+  async searchSizeRange(query, searchQuery, range, context) {
+    const { cursors, slices, stats, tally } = context;
+    const { filename, extension, keyword, repoType } = query;
+    const sizeRange = `${range.min}..${range.max}`;
+
+    const cursor = cursors.get(`${searchQuery}|${sizeRange}`);
+    if (this.recentlyScanned(cursor)) {
+      stats.skipped++;
+      slices.push({ ...range, completedAt: cursor.completedAt });
+      return;
+    }
+
+    const resume = cursor && cursor.nextPage ? cursor : null;
+    const startedAt = resume ? resume.startedAt : new Date();
+    let totalCount = range.totalCount;
+    let completedAt = null;
+    let split = false;
+
+    try {
+      const pages = this.githubService.paginateSearchCode({
+        filename,
+        extension,
+        keyword,
+        sizeRange,
+        perPage: 100
+      }, { cursor: resume && resume.nextPage });
+
+      for await (const page of pages) {
+        totalCount = page.totalCount;
+
+        if (totalCount > SEARCH_RESULT_CAP && range.max > range.min) {
+          split = true;
+          break;
+        }
+
+        logger.debug({
+          query: { filename, extension, keyword },
+          sizeRange,
+          page: page.page,
+          found: page.items.length,
+          fetched: page.fetched,
+          totalCount: page.totalCount
+        }, 'Code search results');
+
+        const { reposData, newCount } = await this.processCodeSearchResults(page.items, this.ecosystem.name, repoType);
+        stats.found += reposData.length;
+        tally.searched = true;
+        tally.results += page.items.length;
+        tally.newRepositories += newCount;
+
+        await this.saveCursor({ strategy: 'code', query: searchQuery, sizeRange }, page, startedAt);
+        if (!page.cursor) {
+          completedAt = new Date();
         }
       }
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        query: { filename, extension, keyword },
+        sizeRange
+      }, 'Code search failed');
+
+      // Continue to next range on error
     }
 
-    logger.info({ totalFound }, 'Code search completed');
-    return totalFound;
+    if (split) {
+      const middle = Math.floor((range.min + range.max) / 2);
+
+      logger.debug({
+        query: searchQuery,
+        sizeRange,
+        totalCount
+      }, 'Size range over the search result cap, split');
+
+      await this.searchSizeRange(query, searchQuery, { min: range.min, max: middle }, context);
+      await this.searchSizeRange(query, searchQuery, { min: middle + 1, max: range.max }, context);
+      return;
+    }
+
+    slices.push({ min: range.min, max: range.max, totalCount, completedAt });
+  }
+
+  /**
+   * Merge neighbouring ranges whose results fit in one search, and save the
+   * partition for later runs. A merged range counts as scanned when both its
+   * parts were; unfinished ranges are kept as they are with their cursor.
+   */
+  async savePartition(searchQuery, slices) {
+    const merged = [];
+
+    for (const slice of slices) {
+      const last = merged[merged.length - 1];
+      const mergeable = last && last.completedAt && slice.completedAt &&
+        Number.isInteger(last.totalCount) && Number.isInteger(slice.totalCount) &&
+        last.totalCount + slice.totalCount <= MERGED_RANGE_MAX_RESULTS;
+
+      if (mergeable) {
+        merged[merged.length - 1] = {
+          min: last.min,
+          max: slice.max,
+          totalCount: last.totalCount + slice.totalCount,
+          completedAt: last.completedAt < slice.completedAt ? last.completedAt : slice.completedAt,
+          merged: true
+        };
+      } else {
+        merged.push(slice);
+      }
+    }
+
+    for (const range of merged.filter(slice => slice.merged)) {
+      await this.dbService.saveDiscoveryCursor({
+        ecosystem: this.ecosystem.name,
+        strategy: 'code',
+        query: searchQuery,
+        sizeRange: `${range.min}..${range.max}`,
+        nextPage: null,
+        startedAt: range.completedAt,
+        completedAt: range.completedAt
+      });
+    }
+
+    await this.dbService.saveCodeSearchPartition(searchQuery, merged.map(({ min, max, totalCount }) => ({
+      min,
+      max,
+      totalCount: Number.isInteger(totalCount) ? totalCount : null
+    })));
+
+    if (merged.length !== slices.length) {
+      logger.debug({
+        query: searchQuery,
+        ranges: slices.length,
+        merged: merged.length
+      }, 'Code search size ranges merged');
+    }
   }
 
   /**
    * Process code search results and save to database
+   * Repository details are fetched for the whole page in one GraphQL batch.
+   * Repositories already collected are only tagged with the ecosystem and
+   * type. Returns the repositories saved, and how many of the repositories
+   * found were new to the ecosystem.
    */
   async processCodeSearchResults(items, ecosystem, type) {
     const reposData = [];
-    const repoTypesData = [];
+    const candidates = new Map();
 
     for (const item of items) {
       const { repository } = item;
@@ -131,57 +332,95 @@ class RepositoryDiscoveryWorker {
 
       const repoKey = `${repository.owner.login}/${repository.name}`;
 
-      if (this.processedRepos.has(repoKey)) {
+      if (candidates.has(repoKey)) {
         continue;
       }
 
-      try {
-        // Get detailed repository information
-        const repoDetails = await this.githubService.getRepository({
-          owner: repository.owner.login,
-          repo: repository.name
-        });
+      candidates.set(repoKey, repository);
+    }
 
-        if (!repoDetails) {
-          continue;
-        }
+    if (candidates.size === 0) {
+      return { reposData, newCount: 0 };
+    }
 
-        const repoData = {
-          repoId: String(repository.id),
-          name: repository.name,
-          url: repository.html_url,
-          owner: repository.owner.login,
-          started: Math.floor(new Date(repoDetails.created_at).getTime() / 1000),
-          ecosystem,
-          isClosedSource: false,
-          issuesAndPrs: repoDetails.open_issues_count || 0,
-          stars: repoDetails.stargazers_count || 0
-        };
+    let existing;
+    try {
+      existing = await this.dbService.getExistingRepoIds([...candidates.values()].map(repository => String(repository.id)));
+    } catch (error) {
+      // Already logged, found again by the next scan of this search
+      return { reposData, newCount: 0 };
+    }
 
-        reposData.push(repoData);
+    const repositories = [...candidates.values()].filter(repository => !existing.has(String(repository.id)));
+    let details = [];
 
-        if (type) {
-          repoTypesData.push({
-            repoId: String(repository.id),
-            type
-          });
-        }
+    if (repositories.length > 0) {
+      try {
+        details = await this.githubService.getRepositoriesBatch(
+          repositories.map(repository => ({
+            owner: repository.owner.login,
+            repo: repository.name
+          }))
+        );
+      } catch (error) {
+        logger.error({
+          error: error.message,
+          count: repositories.length
+        }, 'Failed to get repository details');
+        return { reposData, newCount: 0 };
+      }
+    }
 
-        this.processedRepos.add(repoKey);
+    for (let i = 0; i < repositories.length; i++) {
+      const repository = repositories[i];
+      const repoDetails = details[i];
 
-        logger.debug({
-          owner: repository.owner.login,
-          repo: repository.name,
-          stars: repoData.stars
-        }, 'Repository processed');
+      // Deleted or made private since it was indexed by code search
+      if (!repoDetails) {
+        continue;
+      }
 
+      let forkFields;
+      try {
+        forkFields = await this.getForkFields(repoDetails);
       } catch (error) {
         logger.error({
           error: error.message,
           owner: repository.owner.login,
           repo: repository.name
-        }, 'Failed to process repository');
+        }, 'Failed to get fork details');
+        continue;
+      }
+
+      // Left out by the fork policy
+      if (!forkFields) {
+        continue;
       }
+
+      const repoData = {
+        repoId: String(repository.id),
+        name: repository.name,
+        url: repository.html_url,
+        owner: repository.owner.login,
+        started: Math.floor(new Date(repoDetails.created_at).getTime() / 1000),
+        ecosystem,
+        isClosedSource: false,
+        status: repoDetails.archived ? 'archived' : 'active',
+        issuesAndPrs: repoDetails.open_issues_count || 0,
+        stars: repoDetails.stargazers_count || 0,
+        forks: repoDetails.forks_count || 0,
+        pushedAt: repoDetails.pushed_at,
+        lastVerifiedAt: new Date(),
+        ...forkFields
+      };
+
+      reposData.push(repoData);
+
+      logger.debug({
+        owner: repository.owner.login,
+        repo: repository.name,
+        stars: repoData.stars
+      }, 'Repository processed');
     }
 
     // Bulk insert to database
@@ -197,6 +436,10 @@ class RepositoryDiscoveryWorker {
       }
     }
 
+    const repoIds = [...reposData.map(repoData => repoData.repoId), ...existing];
+    const newCount = repoIds.length > 0 ? await this.tagEcosystem(repoIds) : 0;
+    const repoTypesData = type ? repoIds.map(repoId => ({ repoId, type })) : [];
+
     if (repoTypesData.length > 0) {
       try {
         await this.dbService.bulkCreateRepoTypes(repoTypesData);
@@ -209,7 +452,74 @@ class RepositoryDiscoveryWorker {
       }
     }
 
-    return reposData;
+    return { reposData, newCount };
+  }
+
+  /**
+   * Fork and template fields of a repository about to be saved, or null when
+   * the fork policy leaves it out. Forks are looked up for their parent and
+   * the root of their fork network, and under the `diverged` policy compared
+   * with their parent.
+   */
+  async getForkFields(repository) {
+    const fields = {
+      isFork: Boolean(repository.fork),
+      isTemplate: Boolean(repository.is_template),
+      templateFullName: repository.template_repository ? repository.template_repository.full_name : null
+    };
+
+    const policy = config.forks.policy;
+
+    if (!repository.fork) {
+      return fields;
+    }
+
+    if (policy === 'exclude') {
+      return null;
+    }
+
+    const details = await this.githubService.getRepository({
+      owner: repository.owner.login,
+      repo: repository.name
+    });
+
+    // Gone since it was found, or detached from its network
+    if (!details || !details.parent) {
+      return details ? fields : null;
+    }
+
+    const { parent, source } = details;
+    let forkAheadBy = null;
+
+    if (policy === 'diverged') {
+      const comparison = await this.githubService.compareCommits({
+        owner: parent.owner.login,
+        repo: parent.name,
+        basehead: `${parent.default_branch}...${details.owner.login}:${details.default_branch}`
+      });
+
+      forkAheadBy = comparison ? comparison.ahead_by : 0;
+
+      if (forkAheadBy === 0) {
+        logger.debug({
+          owner: repository.owner.login,
+          repo: repository.name,
+          parent: parent.full_name
+        }, 'Fork has no commits of its own, skipped');
+        return null;
+      }
+    }
+
+    return {
+      ...fields,
+      isTemplate: Boolean(details.is_template),
+      templateFullName: details.template_repository ? details.template_repository.full_name : fields.templateFullName,
+      parentRepoId: String(parent.id),
+      parentFullName: parent.full_name,
+      sourceRepoId: String((source || parent).id),
+      sourceFullName: (source || parent).full_name,
+      forkAheadBy
+    };
   }
 
   /**
@@ -217,79 +527,97 @@ class RepositoryDiscoveryWorker {
    * This is broader and has better rate limits
    */
   async searchByRepository() {
-    const keywords = config.repositorySearchKeywords;
-    const ecosystem = config.ecosystem;
+    const queries = await this.dbService.getSearchQueries({ ecosystem: this.ecosystem.name, strategy: 'repository', enabled: true });
+    const ecosystem = this.ecosystem.name;
+    const cursors = await this.dbService.getDiscoveryCursors(this.ecosystem.name, 'repository');
     let totalFound = 0;
+    let skipped = 0;
 
-    logger.info('Starting repository search');
+    logger.info({ ecosystem }, 'Starting repository search');
 
-    for (const keyword of keywords) {
-      let page = 1;
-      let hasMore = true;
+    for (const query of queries) {
+      const { keyword } = query;
+      const search = {
+        keywords: keyword,
+        language: config.repositorySearchLanguage || null,
+        stars: '>=5'
+      };
+      const searchQuery = this.githubService.buildRepositorySearchQuery(search);
+
+      const cursor = cursors.get(`${searchQuery}|`);
+      if (this.recentlyScanned(cursor)) {
+        skipped++;
+        continue;
+      }
 
-      while (hasMore && page <= 10) {
-        try {
-          const result = await this.githubService.searchRepositories({
-            keywords: keyword,
-            language: 'rust',
-            stars: '>=5',
-            perPage: 100,
-            page
-          });
+      const resume = cursor && cursor.nextPage ? cursor : null;
+      const startedAt = resume ? resume.startedAt : new Date();
+      const tally = { searched: false, results: 0, newRepositories: 0 };
 
-          if (result.items.length === 0) {
-            hasMore = false;
-            break;
-          }
+      try {
+        const pages = this.githubService.paginateSearchRepositories({
+          ...search,
+          perPage: 100
+        }, { cursor: resume && resume.nextPage });
 
+        for await (const page of pages) {
           logger.debug({
             keyword,
-            page,
-            found: result.items.length
+            page: page.page,
+            found: page.items.length,
+            fetched: page.fetched,
+            totalCount: page.totalCount
           }, 'Repository search results');
 
-          const reposData = await this.processRepoSearchResults(result.items, ecosystem);
+          const { reposData, newCount } = await this.processRepoSearchResults(page.items, ecosystem);
           totalFound += reposData.length;
+          tally.searched = true;
+          tally.results += page.items.length;
+          tally.newRepositories += newCount;
 
-          if (result.items.length < 100) {
-            hasMore = false;
-          }
-
-          page++;
-        } catch (error) {
-          logger.error({
-            error: error.message,
-            keyword,
-            page
-          }, 'Repository search failed');
-
-          break;
+          await this.saveCursor({ strategy: 'repository', query: searchQuery, sizeRange: '' }, page, startedAt);
         }
+      } catch (error) {
+        logger.error({
+          error: error.message,
+          keyword
+        }, 'Repository search failed');
       }
+
+      await this.recordYield(query, tally);
     }
 
-    logger.info({ totalFound }, 'Repository search completed');
+    logger.info({ ecosystem, totalFound, skipped }, 'Repository search completed');
     return totalFound;
   }
 
   /**
-   * Process repository search results
+   * Process repository search results. Repositories already collected are
+   * only tagged with the ecosystem. Returns the repositories saved, and how
+   * many of the repositories found were new to the ecosystem.
    */
   async processRepoSearchResults(items, ecosystem) {
     const reposData = [];
+    let existing;
 
-    for (const repo of items) {
-      const repoKey = `${repo.owner.login}/${repo.name}`;
+    try {
+      existing = await this.dbService.getExistingRepoIds(items.map(repo => String(repo.id)));
+    } catch (error) {
+      // Already logged, found again by the next scan of this search
+      return { reposData, newCount: 0 };
+    }
 
-      if (this.processedRepos.has(repoKey)) {
+    for (const repo of items) {
+      // Already collected, only tagged below
+      if (existing.has(String(repo.id))) {
         continue;
       }
 
       try {
-        // Check if repo already exists in database
-        const exists = await this.dbService.repositoryExists(String(repo.id));
-        if (exists) {
-          this.processedRepos.add(repoKey);
+        const forkFields = await this.getForkFields(repo);
+
+        // Left out by the fork policy
+        if (!forkFields) {
           continue;
         }
 
@@ -301,12 +629,16 @@ class RepositoryDiscoveryWorker {
           started: Math.floor(new Date(repo.created_at).getTime() / 1000),
           ecosystem,
           isClosedSource: false,
+          status: repo.archived ? 'archived' : 'active',
           issuesAndPrs: repo.open_issues_count || 0,
-          stars: repo.stargazers_count || 0
+          stars: repo.stargazers_count || 0,
+          forks: repo.forks_count || 0,
+          pushedAt: repo.pushed_at,
+          lastVerifiedAt: new Date(),
+          ...forkFields
         };
 
         reposData.push(repoData);
-        this.processedRepos.add(repoKey);
 
         logger.debug({
           owner: repo.owner.login,
@@ -336,33 +668,39 @@ class RepositoryDiscoveryWorker {
       }
     }
 
-    return reposData;
+    const repoIds = [...reposData.map(repoData => repoData.repoId), ...existing];
+    const newCount = repoIds.length > 0 ? await this.tagEcosystem(repoIds) : 0;
+
+    return { reposData, newCount };
   }
 
   /**
    * Search for trending repositories
    */
   async searchTrending() {
-    const ecosystem = config.ecosystem;
-    logger.info('Searching for trending repositories');
+    const ecosystem = this.ecosystem.name;
+    logger.info({ ecosystem }, 'Searching for trending repositories');
 
     try {
       const result = await this.githubService.getTrendingRepositories({
-        language: 'rust',
+        keywords: this.ecosystem.trendingKeywords,
+        language: config.repositorySearchLanguage || null,
         days: 7,
         perPage: 100
       });
 
-      const reposData = await this.processRepoSearchResults(result.items, ecosystem);
+      const { reposData } = await this.processRepoSearchResults(result.items, ecosystem);
 
       logger.info({
+        ecosystem,
         found: reposData.length
       }, 'Trending search completed');
 
       return reposData.length;
     } catch (error) {
       logger.error({
-        error: error.message
+        error: error.message,
+        ecosystem
       }, 'Trending search failed');
       return 0;
     }
@@ -371,14 +709,17 @@ class RepositoryDiscoveryWorker {
   /**
    * Run all discovery strategies
    */
-  async run() {
+  async run({ priority = 'bulk' } = {}) {
+    const ecosystem = this.ecosystem.name;
+
     if (this.isRunning) {
-      logger.warn('Repository discovery already running');
+      logger.warn({ ecosystem }, 'Repository discovery already running');
       return;
     }
 
     this.isRunning = true;
-    logger.info('Starting repository discovery worker');
+    this.githubService.priority = priority;
+    logger.info({ ecosystem, priority }, 'Starting repository discovery worker');
 
     try {
       // Run different search strategies
@@ -387,6 +728,7 @@ class RepositoryDiscoveryWorker {
       const trendingResults = await this.searchTrending();
 
       logger.info({
+        ecosystem,
         codeSearch: codeResults,
         repoSearch: repoResults,
         trending: trendingResults,
@@ -395,7 +737,8 @@ class RepositoryDiscoveryWorker {
 
     } catch (error) {
       logger.error({
-        error: error.message
+        error: error.message,
+        ecosystem
       }, 'Repository discovery failed');
     } finally {
       this.isRunning = false;
@@ -0,0 +1,164 @@
+process.env.GITHUB_THROTTLE_ENABLED = 'false';
+
+const config = require('../config');
+const db = require('../models');
+const FakeGitHubServer = require('../dev/FakeGitHubServer');
+const RepositoryDiscoveryWorker = require('./RepositoryDiscoveryWorker');
+
+/**
+ * Stand-in for the discovery tables, keeping cursors and partitions the way
+ * DatabaseService saves them. Every repository found counts as collected
+ * already, so only the search partitions and ecosystem tags are exercised.
+ */
+function createDatabase(queries, partitions = []) {
+  const cursors = new Map();
+  const saved = new Map(partitions);
+  const tagged = [];
+
+  return {
+    cursors,
+    partitions: saved,
+    tagged,
+    getSearchQueries: async ({ ecosystem }) => queries.filter(query => query.ecosystem === ecosystem),
+    getDiscoveryCursors: async (ecosystem, strategy) => new Map([...cursors.values()]
+      .filter(cursor => cursor.ecosystem === ecosystem && cursor.strategy === strategy)
+      .map(cursor => [`${cursor.query}|${cursor.sizeRange}`, cursor])),
+    getCodeSearchPartitions: async () => new Map(saved),
+    saveDiscoveryCursor: async (cursor) => {
+      const key = `${cursor.ecosystem}|${cursor.query}|${cursor.sizeRange}`;
+      cursors.set(key, { ...cursors.get(key), ...cursor });
+    },
+    saveCodeSearchPartition: async (query, ranges) => {
+      saved.set(query, ranges);
+
+      const sizeRanges = ranges.map(range => `${range.min}..${range.max}`);
+      for (const [key, cursor] of cursors) {
+        if (cursor.query === query && !sizeRanges.includes(cursor.sizeRange)) {
+          cursors.delete(key);
+        }
+      }
+    },
+    recordSearchQueryYield: async () => {},
+    getExistingRepoIds: async repoIds => new Set(repoIds),
+    tagRepositoryEcosystem: async (repoIds, ecosystem) => {
+      tagged.push(...repoIds.map(repoId => `${repoId}:${ecosystem}`));
+      return repoIds.length;
+    },
+    bulkCreateRepoTypes: async () => {}
+  };
+}
+
+describe('RepositoryDiscoveryWorker code search partitions', () => {
+  let server;
+  let worker;
+  let sizeRanges;
+  const workers = [];
+
+  beforeAll(async () => {
+    server = await new FakeGitHubServer({ ...config.fakeGitHub, mode: 'replay', port: 0 }).start();
+    config.github.apiUrl = `http://localhost:${server.port}`;
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    await db.sequelize.close();
+  });
+
+  function createWorker(ecosystem) {
+    const created = new RepositoryDiscoveryWorker(ecosystem);
+    workers.push(created);
+
+    const paginateSearchCode = created.githubService.paginateSearchCode.bind(created.githubService);
+    created.githubService.paginateSearchCode = (search, options) => {
+      sizeRanges.push(search.sizeRange);
+      return paginateSearchCode(search, options);
+    };
+
+    return created;
+  }
+
+  beforeEach(() => {
+    sizeRanges = [];
+    worker = createWorker({ ...config.ecosystems[0], name: 'solana' });
+  });
+
+  afterEach(async () => {
+    await Promise.all(workers.splice(0).map(created => created.githubService.close()));
+  });
+
+  test('splits ranges over the result cap and merges the sparse ones into a scanned range', async () => {
+    const query = 'filename:Cargo.toml+anchor-lang';
+    worker.dbService = createDatabase([{ id: 1, ecosystem: 'solana', filename: 'Cargo.toml', keyword: 'anchor-lang', repoType: 'anchor' }]);
+
+    await worker.searchByCode();
+
+    expect(sizeRanges.slice(0, 5)).toEqual(['0..149', '0..74', '75..149', '75..112', '113..149']);
+    expect(worker.dbService.partitions.get(query)).toEqual([
+      { min: 0, max: 74, totalCount: 700 },
+      { min: 75, max: 393216, totalCount: 700 }
+    ]);
+
+    // Cursors of the merged parts give way to one for the whole range
+    expect([...worker.dbService.cursors.values()].map(cursor => cursor.sizeRange)).toEqual(['0..74', '75..393216']);
+    expect(worker.dbService.cursors.get(`solana|${query}|75..393216`)).toMatchObject({
+      nextPage: null,
+      completedAt: expect.any(Date)
+    });
+
+    // Both ranges count as scanned on the next run
+    sizeRanges.length = 0;
+    await worker.searchByCode();
+
+    expect(sizeRanges).toEqual([]);
+  });
+
+  test('stops splitting at single-byte ranges and only merges scanned neighbours', async () => {
+    const query = 'filename:Cargo.toml+solana-program';
+    worker.dbService = createDatabase([{ id: 2, ecosystem: 'solana', filename: 'Cargo.toml', keyword: 'solana-program', repoType: null }], [
+      [query, [
+        { min: 0, max: 9, totalCount: 0 },
+        { min: 10, max: 19, totalCount: 50 },
+        { min: 20, max: 41, totalCount: 0 },
+        { min: 42, max: 43, totalCount: 900 },
+        { min: 44, max: 100, totalCount: 0 }
+      ]]
+    ]);
+
+    await worker.searchByCode();
+
+    // 42..42 holds more than 1000 results but cannot be split any further
+    expect(sizeRanges).toEqual(['0..9', '10..19', '20..41', '42..43', '42..42', '43..43', '44..100']);
+
+    // 10..19 failed, so 0..9 and 20..41 stay apart; 42..42 and 43..43 are too big to merge
+    expect(worker.dbService.partitions.get(query)).toEqual([
+      { min: 0, max: 9, totalCount: 0 },
+      { min: 10, max: 19, totalCount: 50 },
+      { min: 20, max: 41, totalCount: 0 },
+      { min: 42, max: 42, totalCount: 1200 },
+      { min: 43, max: 100, totalCount: 300 }
+    ]);
+    expect(worker.dbService.cursors.has(`solana|${query}|10..19`)).toBe(false);
+    expect(worker.dbService.cursors.get(`solana|${query}|43..100`)).toMatchObject({ nextPage: null, completedAt: expect.any(Date) });
+  });
+
+  test('runs a search in two ecosystems\' packs for each of them', async () => {
+    const dbService = createDatabase([
+      { id: 1, ecosystem: 'solana', filename: 'Cargo.toml', keyword: 'anchor-lang', repoType: null },
+      { id: 3, ecosystem: 'eclipse', filename: 'Cargo.toml', keyword: 'anchor-lang', repoType: null }
+    ]);
+    const eclipse = createWorker({ ...config.ecosystems[0], name: 'eclipse' });
+    worker.dbService = dbService;
+    eclipse.dbService = dbService;
+
+    await worker.searchByCode();
+    const solanaTags = dbService.tagged.splice(0);
+
+    // The partition learned by solana is reused, the scan is not
+    sizeRanges.length = 0;
+    await eclipse.searchByCode();
+
+    expect(sizeRanges).toEqual(['0..74', '75..393216']);
+    expect(solanaTags.length).toBeGreaterThan(0);
+    expect(dbService.tagged).toEqual(solanaTags.map(tag => tag.replace(/:solana$/, ':eclipse')));
+  });
+});
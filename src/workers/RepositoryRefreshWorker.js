@@ -0,0 +1,203 @@
+const GitHubService = require('../services/github/GitHubService');
+const DatabaseService = require('../services/database/DatabaseService');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { resolveRepository } = require('../utils/repositories');
+
+/**
+ * Keeps the metadata of known repositories current. Discovery saves a
+ * repository once, when it is first found; this worker revisits it for its
+ * stars, forks, open issues, last push, archived state and name, the most
+ * recently pushed repositories most often. Details are fetched in GraphQL
+ * batches, and repositories not found under their name are looked up by id.
+ * Every refresh also adds a snapshot of the metrics, to chart their growth.
+ */
+class RepositoryRefreshWorker {
+  constructor() {
+    this.githubService = new GitHubService({ consumer: 'refresh' });
+    this.dbService = new DatabaseService();
+    this.isRunning = false;
+  }
+
+  /**
+   * Refresh a batch of repositories with one GraphQL query
+   */
+  async processBatch(repos) {
+    const verifiedAt = new Date();
+    const snapshots = [];
+    let processedCount = 0;
+    let errorCount = 0;
+    let details;
+
+    try {
+      details = await this.githubService.getRepositoriesBatch(repos.map(repo => ({
+        owner: repo.owner,
+        repo: repo.name
+      })));
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        count: repos.length
+      }, 'Failed to get repository details for refresh');
+      return { processedCount, errorCount: repos.length };
+    }
+
+    for (let i = 0; i < repos.length; i++) {
+      const repo = repos[i];
+
+      try {
+        const snapshot = await this.refreshRepository(repo, details[i], verifiedAt);
+        if (snapshot) {
+          snapshots.push(snapshot);
+          processedCount++;
+        }
+      } catch (error) {
+        errorCount++;
+        logger.error({
+          error: error.message,
+          repoId: repo.repoId,
+          owner: repo.owner,
+          name: repo.name
+        }, 'Failed to refresh repository');
+      }
+    }
+
+    if (snapshots.length > 0) {
+      try {
+        await this.dbService.bulkCreateRepoSnapshots(snapshots);
+      } catch (error) {
+        logger.error({
+          error: error.message,
+          count: snapshots.length
+        }, 'Failed to save repository snapshots');
+      }
+    }
+
+    logger.info({
+      processed: processedCount,
+      errors: errorCount,
+      total: repos.length
+    }, 'Refresh batch completed');
+
+    return { processedCount, errorCount };
+  }
+
+  /**
+   * Save the current metadata of a repository, returning a snapshot of its
+   * metrics. Returns null when it could not be verified: it is gone, with
+   * its status recorded, or is retried by a later run.
+   */
+  async refreshRepository(repo, details, verifiedAt) {
+    // Not found under this name, or the name now belongs to another repository
+    if (!details || String(details.id) !== repo.repoId) {
+      const moved = await this.resolveRepository(repo);
+      if (!moved) {
+        return null;
+      }
+
+      [details] = await this.githubService.getRepositoriesBatch([{ owner: moved.owner, repo: moved.name }]);
+      if (!details || String(details.id) !== repo.repoId) {
+        return null;
+      }
+
+      repo = moved;
+    }
+
+    // GraphQL answers for renamed and transferred repositories under their old name too
+    if (details.owner.login !== repo.owner || details.name !== repo.name) {
+      await this.dbService.renameRepository(repo.repoId, {
+        owner: details.owner.login,
+        name: details.name,
+        url: details.html_url
+      });
+
+      logger.info({
+        repoId: repo.repoId,
+        from: `${repo.owner}/${repo.name}`,
+        to: details.full_name
+      }, 'Repository renamed');
+    }
+
+    const metrics = {
+      stars: details.stargazers_count || 0,
+      forks: details.forks_count || 0,
+      issuesAndPrs: details.open_issues_count || 0,
+      pushedAt: details.pushed_at
+    };
+
+    await this.dbService.setRepositoryStatus(repo.repoId, details.archived ? 'archived' : 'active');
+    await this.dbService.updateRepositoryMetadata(repo.repoId, {
+      ...metrics,
+      isTemplate: Boolean(details.is_template),
+      templateFullName: details.template_repository ? details.template_repository.full_name : null
+    }, verifiedAt);
+
+    return {
+      repositoryId: repo.id,
+      capturedAt: verifiedAt,
+      stars: metrics.stars,
+      forks: metrics.forks,
+      watchers: details.subscribers_count,
+      openIssues: metrics.issuesAndPrs,
+      size: details.size,
+      pushedAt: metrics.pushedAt
+    };
+  }
+
+  /**
+   * Look up a repository that was not found under its name by its stable id
+   */
+  async resolveRepository(repo) {
+    return await resolveRepository(this, repo);
+  }
+
+  /**
+   * Run the worker over the repositories due for a refresh
+   */
+  async run({ priority = 'normal' } = {}) {
+    if (this.isRunning) {
+      logger.warn('Refresh worker already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.githubService.priority = priority;
+    logger.info({ priority }, 'Starting refresh worker');
+
+    try {
+      const { batchSize, maxPerRun, activeDays, activeHours, recentDays, recentHours, dormantHours } = config.workers.refresh;
+      let totalProcessed = 0;
+      let totalErrors = 0;
+
+      const repos = await this.dbService.getRepositoriesDueForRefresh({
+        limit: maxPerRun,
+        activeDays,
+        activeHours,
+        recentDays,
+        recentHours,
+        dormantHours
+      });
+
+      for (let start = 0; start < repos.length; start += batchSize) {
+        const { processedCount, errorCount } = await this.processBatch(repos.slice(start, start + batchSize));
+        totalProcessed += processedCount;
+        totalErrors += errorCount;
+      }
+
+      logger.info({
+        due: repos.length,
+        totalProcessed,
+        totalErrors
+      }, 'Refresh worker completed');
+
+    } catch (error) {
+      logger.error({
+        error: error.message
+      }, 'Refresh worker failed');
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = RepositoryRefreshWorker;